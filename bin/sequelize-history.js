@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = `Usage: sequelize-history generate-migration --models <path> --model <name> [--diff] [--out <dir>]
+
+Options:
+  --models  Module exporting the Sequelize instance the tracked models are defined on
+  --model   Name of the tracked model
+  --diff    Only add and change the columns the existing history table lacks
+  --out     Directory to write the migration to, instead of the standard output`;
+
+/**
+ * Parses command line arguments
+ * @private
+ * @param {array} argv - Arguments following the script name
+ * @return {object} - The command, and options keyed by name
+ */
+const parseArgs = argv => {
+	const args = {command: argv[0]};
+
+	for (let i = 1; i < argv.length; i++) {
+		const name = argv[i].replace(/^--/, '');
+
+		if (name === 'diff') {
+			args.diff = true;
+		} else {
+			args[name] = argv[++i];
+		}
+	}
+
+	return args;
+};
+
+/**
+ * Formats a date the way migration file names are prefixed
+ * @private
+ * @param {Date} date - Date to format
+ * @return {string} - e.g. `20171127153000`
+ */
+const timestamp = date => date.toISOString().replace(/\D/g, '').slice(0, 14);
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.command !== 'generate-migration' || !args.models || !args.model) {
+	console.error(USAGE);
+	process.exit(1);
+}
+
+const exported = require(path.resolve(args.models));
+const sequelize = exported.sequelize || exported;
+const model = sequelize.models && sequelize.models[args.model];
+
+if (!model || typeof model.generateHistoryMigration !== 'function') {
+	console.error(`${args.model} is not a model tracked by sequelize-history.`);
+	process.exit(1);
+}
+
+model.generateHistoryMigration({diff: args.diff})
+	.then(source => {
+		if (source === null) {
+			console.error(`The history table of ${args.model} is up to date.`);
+		} else if (args.out) {
+			const action = /createTable/.test(source) ? 'create' : 'update';
+			const file = path.resolve(args.out, `${timestamp(new Date())}-${action}-${args.model}-history.js`);
+
+			fs.writeFileSync(file, source);
+			console.log(file);
+		} else {
+			process.stdout.write(source);
+		}
+	})
+	.catch(err => {
+		console.error(err.message || err);
+		process.exitCode = 1;
+	})
+	.then(() => sequelize.close());
@@ -1,14 +1,553 @@
 'use strict';
 
+const AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
 const cloneDeep = require('lodash/cloneDeep');
 const merge = require('lodash/merge');
+const isPlainObject = require('lodash/isPlainObject');
+const isEqual = require('lodash/isEqual');
+
+/**
+ * Scope shared by revisions written within `runAs`, where supported
+ * @private
+ * @type {AsyncLocalStorage|null}
+ */
+const historyContext = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+
+/**
+ * Promise libraries of the Sequelize instances in use, which need to
+ * propagate async context once a `runAs` scope has been entered
+ * @private
+ * @type {Set}
+ */
+const promiseLibraries = new Set();
+
+/**
+ * Marks the queries this module issues against history models itself
+ * @private
+ * @type {Symbol}
+ */
+const PRIVILEGE = Symbol('sequelize-history privilege');
+
+/**
+ * Stands in for the values of redacted attributes when no redaction key is set
+ * @private
+ * @type {string}
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Changeset ids generated for transactions, so every revision written
+ * within one transaction shares its id
+ * @private
+ * @type {WeakMap}
+ */
+const changesetIds = new WeakMap();
+
+/**
+ * Generates a changeset id
+ * @private
+ * @return {string}
+ */
+const newChangesetId = () => crypto.randomUUID ?
+	crypto.randomUUID() :
+	crypto.randomBytes(16).toString('hex');
+
+/**
+ * Finds the outermost transaction of a savepoint
+ * @private
+ * @param {Transaction} transaction - Transaction or savepoint
+ * @return {Transaction}
+ */
+const rootTransaction = transaction => {
+	while (transaction.parent) {
+		transaction = transaction.parent;
+	}
+
+	return transaction;
+};
+
+/**
+ * Whether a `runAs` scope has been entered yet
+ * @private
+ * @type {boolean}
+ */
+let scopesEntered = false;
+
+/**
+ * Tells whether a where clause only holds plain equality (or `IN`) conditions
+ * @private
+ * @param {object} where - Where clause
+ * @return {boolean}
+ */
+const isEqualityWhere = where =>
+	Object.getOwnPropertySymbols(where).length === 0 &&
+	Object.keys(where).every(field => !isPlainObject(where[field]));
+
+/**
+ * Tests values against a where clause of equality conditions
+ * @private
+ * @param {object} values - Values to test
+ * @param {object} where - Where clause
+ * @return {boolean}
+ */
+const matchesWhere = (values, where) => Object.keys(where).every(field => {
+	const expected = Array.isArray(where[field]) ? where[field] : [where[field]];
+
+	return expected.some(value => isEqual(value, values[field]));
+});
+
+/**
+ * Fields added by `createSchema`, ignored when diffing values that
+ * can't be traced back to their history model
+ * @private
+ * @type {array}
+ */
+const BOOKKEEPING_FIELDS = ['modelId', 'archivedAt', 'operation', 'changes'];
+
+/**
+ * Sorts the keys of plain objects, recursively, so they serialize the same
+ * @private
+ * @param {*} value - Value to sort
+ * @return {*}
+ */
+const sortKeys = value => {
+	if (Array.isArray(value)) {
+		return value.map(sortKeys);
+	}
+
+	if (isPlainObject(value)) {
+		return Object.keys(value).sort().reduce((sorted, key) => {
+			sorted[key] = sortKeys(value[key]);
+			return sorted;
+		}, {});
+	}
+
+	return value;
+};
+
+/**
+ * Reduces a column value to the form it takes after a round trip through
+ * the database, so hashes computed before and after storage agree
+ * @private
+ * @param {*} value - Column value, neither null nor undefined
+ * @return {*}
+ */
+const canonicalValue = value => {
+	// Not every dialect stores milliseconds
+	if (value instanceof Date) {
+		return value.toISOString().slice(0, 19);
+	}
+
+	if (Buffer.isBuffer(value)) {
+		return value.toString('hex');
+	}
+
+	// JSON columns hand back what JSON can represent
+	if (typeof value === 'object') {
+		return sortKeys(JSON.parse(JSON.stringify(value)));
+	}
+
+	// Dialects differ in how they return booleans and big numbers
+	if (typeof value === 'boolean') {
+		return value ? '1' : '0';
+	}
+
+	return String(value);
+};
+
+/**
+ * Normalizes missing values so they compare equal to null
+ * @private
+ * @param {*} value - Value to normalize
+ * @return {*}
+ */
+const nullify = value => typeof value === 'undefined' ? null : value;
+
+/**
+ * Tells whether a value read from the database equals the value it's
+ * about to be set to, which may not be of the same type yet
+ * @private
+ * @param {*} stored - Value read from the database
+ * @param {*} value - Value being set
+ * @return {boolean}
+ */
+const sameValue = (stored, value) => {
+	const a = nullify(stored);
+	const b = nullify(value);
+
+	if (a instanceof Date || b instanceof Date) {
+		return a !== null && b !== null && new Date(a).getTime() === new Date(b).getTime();
+	}
+
+	if (a !== null && b !== null && typeof a !== 'object' && typeof b !== 'object') {
+		return String(a) === String(b);
+	}
+
+	return isEqual(a, b);
+};
+
+/**
+ * Writes a value as JavaScript source
+ * @private
+ * @param {*} value - String, number, boolean, null, array or plain object
+ * @return {string}
+ */
+const valueSource = value => {
+	if (typeof value === 'string') {
+		return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+	}
+
+	if (Array.isArray(value)) {
+		return `[${value.map(valueSource).join(', ')}]`;
+	}
+
+	if (isPlainObject(value)) {
+		return `{${Object.keys(value).map(key => `${key}: ${valueSource(value[key])}`).join(', ')}}`;
+	}
+
+	return JSON.stringify(value);
+};
+
+/**
+ * Writes a Sequelize data type as JavaScript source
+ * @private
+ * @param {object} type - Data type instance
+ * @return {string} - e.g. `Sequelize.STRING(64)`
+ */
+const typeSource = type => {
+	const options = type.options || {};
+	let args = [];
+
+	switch (type.key) {
+		case 'STRING':
+		case 'CHAR':
+			args = options.length && options.length !== 255 ? [options.length] : [];
+			break;
+		case 'TEXT':
+			args = options.length ? [options.length] : [];
+			break;
+		case 'DECIMAL':
+			args = [options.precision, options.scale].filter(arg => typeof arg !== 'undefined');
+			break;
+		case 'ENUM':
+			args = type.values;
+			break;
+		case 'ARRAY':
+			return `Sequelize.ARRAY(${typeSource(type.type)})`;
+		default:
+			args = options.length ? [options.length] : [];
+	}
+
+	let source = `Sequelize.${type.key}${args.length > 0 ? `(${args.map(valueSource).join(', ')})` : ''}`;
+
+	if (options.unsigned) {
+		source += '.UNSIGNED';
+	}
+
+	if (options.zerofill) {
+		source += '.ZEROFILL';
+	}
+
+	return source;
+};
+
+/**
+ * Tests a model name against glob patterns (`*` and `?` wildcards)
+ * or regular expressions
+ * @private
+ * @param {string} name - Model name
+ * @param {string|RegExp|array} patterns - Pattern, or array of patterns
+ * @return {boolean}
+ */
+const matchesName = (name, patterns) => [].concat(patterns).some(pattern => {
+	if (pattern instanceof RegExp) {
+		return pattern.test(name);
+	}
+
+	const source = String(pattern)
+		.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+		.replace(/\*/g, '.*')
+		.replace(/\?/g, '.');
+
+	return new RegExp(`^${source}$`).test(name);
+});
+
+/**
+ * Tests values against a where clause of plain values and the
+ * `eq`, `ne`, `gt`, `gte`, `lt`, `lte` and `in` operators
+ * @private
+ * @param {object} values - Values to test
+ * @param {object} where - Where clause
+ * @param {object} Op - Sequelize operators
+ * @return {boolean}
+ */
+const matchesOperators = (values, where, Op) => Object.keys(where).every(field => {
+	const condition = where[field];
+	const value = values[field];
+	const compare = other => value instanceof Date ? new Date(other) : other;
+
+	if (!isPlainObject(condition)) {
+		return [].concat(condition).some(expected => sameValue(value, expected));
+	}
+
+	return Object.getOwnPropertySymbols(condition).every(operator => {
+		const expected = condition[operator];
+
+		switch (operator) {
+			case Op.eq:
+				return sameValue(value, expected);
+			case Op.ne:
+				return !sameValue(value, expected);
+			case Op.gt:
+				return value > compare(expected);
+			case Op.gte:
+				return value >= compare(expected);
+			case Op.lt:
+				return value < compare(expected);
+			case Op.lte:
+				return value <= compare(expected);
+			case Op.in:
+				return expected.some(other => sameValue(value, other));
+			default:
+				throw new Error('Unsupported operator in a JSON Lines store query.');
+		}
+	});
+});
+
+/**
+ * Collects the differences between two values, recursing into plain objects
+ * @private
+ * @param {*} from - Previous value
+ * @param {*} to - Next value
+ * @param {array} path - Keys leading to the values
+ * @param {array} changes - Collected `{field, path, from, to}` objects
+ * @return {array} - The collected changes
+ */
+const diffValues = (from, to, path, changes) => {
+	if (isPlainObject(from) && isPlainObject(to)) {
+		Object.keys(Object.assign({}, from, to)).forEach(key => {
+			diffValues(from[key], to[key], path.concat(key), changes);
+		});
+	} else if (!isEqual(from, to)) {
+		changes.push({field: path[0], path, from, to});
+	}
+
+	return changes;
+};
+
+/**
+ * @class
+ * HistoryReadOnlyError
+ *
+ * @classdesc
+ * Thrown when a query attempts to modify a history model
+ *
+ * @param {string} modelName - Name of the history model
+ */
+class HistoryReadOnlyError extends Error {
+	constructor(modelName) {
+		super(`${modelName} is a read-only history database. You cannot modify it.`);
+		this.name = 'HistoryReadOnlyError';
+		this.modelName = modelName;
+	}
+}
+
+/**
+ * @class
+ * HistorySchemaError
+ *
+ * @classdesc
+ * Thrown when a history table differs from its history model
+ *
+ * @param {string} modelName - Name of the history model
+ * @param {object} report - Differences, as resolved by `checkSchema`
+ */
+class HistorySchemaError extends Error {
+	constructor(modelName, report) {
+		const differences = [].concat(
+			report.missing.map(column => `missing ${column}`),
+			report.extra.map(column => `extra ${column}`),
+			report.mismatched.map(column => `mismatched ${column.column}`));
+
+		super(`${modelName} differs from its table: ${differences.join(', ')}.`);
+		this.name = 'HistorySchemaError';
+		this.modelName = modelName;
+		this.report = report;
+	}
+}
+
+/**
+ * @class
+ * SequelizeStore
+ *
+ * @classdesc
+ * Stores revisions in a history model, defined on the tracked model's
+ * Sequelize instance or on a separate one. This is the default store.
+ *
+ * @param {Sequelize} sequelize - Sequelize instance to define history models on, or null for the tracked model's
+ */
+class SequelizeStore {
+	constructor(sequelize) {
+		this.sequelize = sequelize || null;
+	}
+
+	/**
+	 * Defines the history model of a tracked model
+	 * @param {SequelizeHistory} history - Instance tracking the model
+	 * @param {object} attributes - Attributes of the history model
+	 * @return {Sequelize.Model} - The history model
+	 */
+	define(history, attributes) {
+		const sequelize = this.sequelize || history.sequelize;
+
+		sequelize.define(history.modelName, attributes, {});
+
+		return sequelize.models[history.modelName];
+	}
+
+	/**
+	 * Writes a revision
+	 * @param {SequelizeHistory} history - Instance tracking the model
+	 * @param {object} values - Values of the revision
+	 * @param {object} options - Create options (`transaction`...)
+	 * @return {Promise} - Resolves with the history model instance
+	 */
+	write(history, values, options) {
+		return history.modelHistory.create(values, options);
+	}
+
+	/**
+	 * Writes revisions at once
+	 * @param {SequelizeHistory} history - Instance tracking the model
+	 * @param {array} rows - Values of each revision
+	 * @param {object} options - Create options (`transaction`...)
+	 * @return {Promise} - Resolves with the history model instances
+	 */
+	writeMany(history, rows, options) {
+		return history.modelHistory.bulkCreate(rows, options);
+	}
+
+	/**
+	 * Reads revisions
+	 * @param {SequelizeHistory} history - Instance tracking the model
+	 * @param {object} query - Find options (`where`, `order`, `limit`, `offset`, `transaction`...)
+	 * @return {Promise} - Resolves with the history model instances
+	 */
+	query(history, query) {
+		return history.modelHistory.findAll(query);
+	}
+}
+
+/**
+ * @class
+ * JsonlStore
+ *
+ * @classdesc
+ * Appends revisions to JSON Lines files, one per history model, named
+ * after the history model. Revisions are read back as plain objects, and
+ * only plain values and the `eq`, `ne`, `gt`, `gte`, `lt`, `lte` and
+ * `in` operators are understood when filtering them.
+ *
+ * @param {string} directory - Directory holding the files
+ */
+class JsonlStore {
+	constructor(directory) {
+		this.directory = directory;
+	}
+
+	/**
+	 * Path of the file holding the revisions of a tracked model
+	 * @private
+	 * @param {SequelizeHistory} history - Instance tracking the model
+	 * @return {string}
+	 */
+	file(history) {
+		return path.join(this.directory, `${history.modelName}.jsonl`);
+	}
+
+	/**
+	 * Appends a revision
+	 * @param {SequelizeHistory} history - Instance tracking the model
+	 * @param {object} values - Values of the revision
+	 * @return {Promise} - Resolves with the written values
+	 */
+	write(history, values) {
+		return this.writeMany(history, [values]).then(rows => rows[0]);
+	}
+
+	/**
+	 * Appends revisions at once
+	 * @param {SequelizeHistory} history - Instance tracking the model
+	 * @param {array} rows - Values of each revision
+	 * @return {Promise} - Resolves with the written values
+	 */
+	writeMany(history, rows) {
+		const archivedAt = new Date();
+		const written = rows.map(values => Object.assign({archivedAt}, values));
+
+		if (written.length === 0) {
+			return Promise.resolve(written);
+		}
+
+		return new Promise((resolve, reject) => {
+			const lines = written.map(values => `${JSON.stringify(values)}\n`).join('');
+
+			fs.appendFile(this.file(history), lines, err => err ? reject(err) : resolve(written));
+		});
+	}
+
+	/**
+	 * Reads revisions
+	 * @param {SequelizeHistory} history - Instance tracking the model
+	 * @param {object} query - Find options (`where`, `order`, `limit` and `offset`)
+	 * @return {Promise} - Resolves with the values of each revision
+	 */
+	query(history, query) {
+		const Op = history.sequelize.Sequelize.Op;
+		const opts = Object.assign({where: {}, order: []}, query);
+
+		return new Promise((resolve, reject) => {
+			fs.readFile(this.file(history), 'utf8', (err, data) => {
+				if (err && err.code !== 'ENOENT') {
+					return reject(err);
+				}
+
+				const rows = (data || '').split('\n')
+					.filter(Boolean)
+					.map(line => JSON.parse(line))
+					.map(values => Object.assign(values, {archivedAt: new Date(values.archivedAt)}))
+					.filter(values => matchesOperators(values, opts.where, Op));
+
+				rows.sort((a, b) => opts.order.reduce((result, order) => {
+					const field = order[0];
+					const sign = String(order[1]).toUpperCase() === 'DESC' ? -1 : 1;
+
+					if (result !== 0 || sameValue(a[field], b[field])) {
+						return result;
+					}
+
+					return a[field] > b[field] ? sign : -sign;
+				}, 0));
+
+				const offset = opts.offset || 0;
+
+				resolve(rows.slice(offset, typeof opts.limit === 'number' ? offset + opts.limit : undefined));
+			});
+		});
+	}
+}
 
 /**
  * @class
  * SequelizeHistory
  *
  * @classdesc
- * Creates a revision history for instances of a given Sequelize model
+ * Creates a revision history for instances of a given Sequelize model,
+ * emitting `revision` and `bulkRevision` events as revisions are written
  *
  * @constructor
  * @description
@@ -18,250 +557,2971 @@ const merge = require('lodash/merge');
  * @param {object} sequelize - Sequelize object (enforces installation above this module)
  * @param {object} options - Object instantiation options
  * @param {string} options.authorFieldName - String to indicate a field name to store author of the revisions, or null to disable
+ * @param {object} options.authorFieldType - Sequelize data type of the author field, defaulting to the author model's primary key type or `INTEGER`
+ * @param {Sequelize.Model|string} options.authorModel - Model (or name of the model) holding the revision authors, or null to disable
  * @param {string} options.modelSuffix - String to append to tracked model's name when creating name of tracking model
  * @param {array} options.excludedAttributes - Array of attributes to be ignored and excluded when recording a change to the target model
+ * @param {array} options.includedAttributes - Array of the only attributes to record changes to, or null to record all of them
+ * @param {array} options.redactedAttributes - Array of attributes whose values are replaced with a marker, or a keyed hash, in revisions
+ * @param {string} options.redactionKey - Secret to hash redacted values with, or null to replace them with a marker
+ * @param {boolean} options.trackCreation - Boolean to also record a snapshot of each instance right after it is created
+ * @param {string} options.storage - String to indicate how updates are archived: `snapshot`, `diff` or `both`
+ * @param {object} options.metadataFields - Object mapping metadata column names to their data type or attribute definition, or null to disable
+ * @param {string} options.metaFieldName - String to indicate a JSON field name to store all revision metadata, or null to disable
+ * @param {object} options.retention - Object describing which revisions `prune` deletes (`maxRevisions`, `maxAge`, `keepDestroyed`, `batchSize`), or null to disable
+ * @param {boolean} options.integrity - Boolean to chain revisions together with hashes that `verify` can check
+ * @param {string} options.bulkStrategy - String to indicate how bulk operations are archived: `query`, `chunked` or `insertSelect`
+ * @param {number} options.bulkBatchSize - Number of rows archived per batch by the `chunked` bulk strategy
+ * @param {boolean} options.bulkChangedOnly - Boolean to only archive the rows a bulk update changes, and only its fields in diffs
+ * @param {string} options.mode - String to indicate whether changes are archived by `hooks` or by database `trigger`s
+ * @param {boolean|array} options.trackAssociations - Boolean, or array of association aliases, to record links added to and removed from `belongsToMany` and `hasMany` associations
+ * @param {boolean} options.changesets - Boolean to record the changeset (`changesetId`) each revision was written in, grouping the revisions of a transaction
+ * @param {object} options.store - Store adapter keeping the revisions (`define`, `write`, `writeMany`, `query`), or null for a history model on the tracked model's connection
+ * @param {boolean} options.async - Boolean to buffer revisions in-process and write them in batches, see `flush`
+ * @param {number} options.asyncBatchSize - Number of revisions written per batch in async mode
+ * @param {number} options.asyncInterval - Milliseconds revisions wait in the buffer at most, or null to wait for a full batch
+ * @param {boolean} options.outbox - Boolean to write async revisions to an outbox table in the transaction of their change
  * @param {array} options.excludedAttributeProperties - Array of attribute properties to ignore when duplicating the target model's attributes
  * @return {null}
  */
-class SequelizeHistory {
+class SequelizeHistory extends EventEmitter {
 	constructor(model, sequelize, options) {
+		super();
+
 		this.options = Object.assign({},
 			SequelizeHistory.DEFAULTS,
 			options || {});
 
-		this.model = model;
+		this.model = model;
+		this.sequelize = sequelize;
+
+		// Revisions reference the tracked instance through its primary key
+		this.primaryKeys = model.primaryKeyAttributes;
+
+		if (this.primaryKeys.length === 0) {
+			throw new Error(`${model.name} has no primary key and cannot be tracked.`);
+		}
+
+		// Revisions are stored in a history model on the same connection by default
+		this.store = this.options.store || new SequelizeStore();
+		this.sharesConnection = this.store instanceof SequelizeStore &&
+			(this.store.sequelize || sequelize) === sequelize;
+
+		this.validateOptions();
+
+		// Revisions waiting to be written in async mode
+		this.buffer = [];
+		this.outboxPending = 0;
+		this.flushing = Promise.resolve();
+		this.flushTimer = null;
+
+		// Writes extending the hash chain of each instance, keyed by stringified `modelId`
+		this.chains = new Map();
+
+		// Bluebird only carries `runAs` scopes across its queue when told to
+		if (sequelize.Sequelize.Promise &&
+			typeof sequelize.Sequelize.Promise.config === 'function') {
+			promiseLibraries.add(sequelize.Sequelize.Promise);
+
+			if (scopesEntered) {
+				sequelize.Sequelize.Promise.config({asyncHooks: true});
+			}
+		}
+
+		// Create name of tracking model by appending
+		// suffice option to the tracked model name
+		this.modelName = [
+			this.model.name,
+			this.options.modelSuffix
+		].join('');
+
+		// Resolve the model holding the revision authors, if any
+		this.authorModel = this.resolveAuthorModel(sequelize);
+
+		// Create the tracking model's schema, and work out the archived
+		// attributes, which stores without a history model rely on too
+		this.fields = this.createSchema(
+			sequelize.Sequelize);
+		this.historyAttributes = this.setAttributes();
+
+		// Have the store register the tracking model, unless it keeps
+		// revisions elsewhere than in a Sequelize model
+		this.modelHistory = typeof this.store.define === 'function' ?
+			this.store.define(this, this.historyAttributes) || null :
+			null;
+
+		if (this.modelHistory !== null) {
+			this.modelHistory._sequelizeHistory = this;
+		}
+
+		// Async revisions are written to the outbox in the transaction
+		// of their change, and moved to the store when flushed
+		if (this.options.outbox) {
+			sequelize.define(`${this.modelName}Outbox`, {
+				id: this.fields.id,
+				payload: {
+					type: sequelize.Sequelize.JSON,
+					allowNull: false
+				}
+			}, {});
+
+			this.modelOutbox = sequelize.models[`${this.modelName}Outbox`];
+			this.modelOutbox._sequelizeHistory = this;
+		}
+
+		// Add revision query methods to the original model - these are
+		// added before any association so its accessors don't shadow them
+		this.addModelRevisionMethods();
+
+		// Add static author tracking method to original model if enabled
+		if (typeof this.options.authorFieldName === 'string') {
+			this.addModelAuthorSetter(sequelize);
+		}
+
+		// Add relationship with the original model to ensure
+		// table constraints are not applied if added manually -
+		// associations can't map a composite key onto `modelId`,
+		// nor reach a history model on another connection
+		if (typeof this.options.authorFieldName === 'string' &&
+			this.primaryKeys.length === 1 && this.sharesConnection) {
+			this.model.hasMany(this.modelHistory, {
+				foreignKey: 'modelId',
+				contraints: false,
+				as: 'revisions'
+			});
+
+			this.modelHistory.belongsTo(this.model, {
+				foreignKey: 'modelId',
+				contraints: false,
+				as: 'model'
+			});
+		}
+
+		// Link each revision to its author's row
+		if (this.authorModel !== null && this.sharesConnection) {
+			this.modelHistory.belongsTo(this.authorModel, {
+				foreignKey: this.options.authorFieldName,
+				constraints: false,
+				as: 'author'
+			});
+		}
+
+		// Setup the necessary hooks for revision tracking
+		this.hookup();
+
+		// Record changes to the collections of tracked instances
+		if (this.options.trackAssociations) {
+			this.trackAssociations(sequelize);
+		}
+	}
+
+	/**
+	 * Rejects combinations of options that can't work together
+	 * @private
+	 * @return {null}
+	 */
+	validateOptions() {
+		const trigger = this.options.mode === 'trigger';
+
+		// Triggers can't compute revision hashes, nor keyed hashes of redacted values
+		if (trigger && this.options.integrity) {
+			throw new Error('Integrity is not supported in trigger mode.');
+		}
+
+		if (trigger && this.options.redactionKey &&
+			this.options.redactedAttributes.length > 0) {
+			throw new Error('Redaction keys are not supported in trigger mode.');
+		}
+
+		// Triggers and association links write to the tracked model's database
+		if (!this.sharesConnection && (trigger || this.options.trackAssociations)) {
+			throw new Error('Trigger mode and association tracking require revisions stored on the tracked model\'s connection.');
+		}
+
+		if (typeof this.store.define !== 'function' && this.options.integrity) {
+			throw new Error('Integrity requires a store keeping revisions in a history model.');
+		}
+
+		if (trigger && this.options.async) {
+			throw new Error('Async mode is not supported in trigger mode.');
+		}
+
+		if (this.options.outbox && !this.options.async) {
+			throw new Error('The outbox requires async mode.');
+		}
+	}
+
+	/**
+	 * Resolves the `authorModel` option, which can be a model or the name of one
+	 * @private
+	 * @param {Sequelize} sequelize - The passed Sequelize instance
+	 * @return {Sequelize.Model|null} - The author model, or null if not set
+	 */
+	resolveAuthorModel(sequelize) {
+		const authorModel = this.options.authorModel;
+
+		if (typeof this.options.authorFieldName !== 'string' || !authorModel) {
+			return null;
+		}
+
+		if (typeof authorModel !== 'string') {
+			return authorModel;
+		}
+
+		if (!sequelize.isDefined(authorModel)) {
+			throw new Error(`Author model ${authorModel} must be defined before tracking ${this.model.name}.`);
+		}
+
+		return sequelize.models[authorModel];
+	}
+
+	/**
+	 * Adds a static `setRevisingAuthor` method to the tracked model if author tracking is enabled.
+	 * @private
+	 * @param {Sequelize} sequelize - The passed Sequelize instance
+	 */
+	addModelAuthorSetter(sequelize) {
+		const modelName = this.model.name;
+
+		sequelize.models[modelName].setRevisingAuthor = function (value) {
+			sequelize.models[modelName]._sequelizeHistoryProps = {
+				_authorId: value
+			};
+		};
+	}
+
+	/**
+	 * Adds revision query methods to the tracked model and its instances.
+	 * Methods already defined on the model are left untouched.
+	 * @private
+	 */
+	addModelRevisionMethods() {
+		const history = this;
+		const model = this.model;
+
+		const instanceMethods = {
+			getRevisions(options) {
+				return history.getRevisions(history.modelIdOf(this.get({raw: true})), options);
+			},
+			getRevisionAt(date, options) {
+				return history.getRevisionAt(history.modelIdOf(this.get({raw: true})), date, options);
+			},
+			getRevisionCount(options) {
+				return history.getRevisionCount(history.modelIdOf(this.get({raw: true})), options);
+			},
+			revertTo(target, options) {
+				return history.revertTo(this, target, options);
+			},
+			diffWith(target, options) {
+				return history.diffWith(this, target, options);
+			}
+		};
+
+		// Stores without a history model can only list revisions
+		const supported = name => this.modelHistory !== null ||
+			['getRevisions', 'getRevisionCount', 'getRevisionsFor'].indexOf(name) !== -1;
+
+		Object.keys(instanceMethods).filter(supported).forEach(name => {
+			if (typeof model.prototype[name] === 'undefined') {
+				model.prototype[name] = instanceMethods[name];
+			}
+		});
+
+		const staticMethods = {
+			getRevisionsFor: (id, options) => history.getRevisions(id, options),
+			findAllAsOf: (date, options) => history.findAllAsOf(date, options),
+			findOneAsOf: (id, date, options) => history.findOneAsOf(id, date, options),
+			pruneHistory: options => history.prune(options),
+			verifyHistory: options => history.verify(options),
+			installHistoryTriggers: options => history.installTriggers(options),
+			dropHistoryTriggers: options => history.dropTriggers(options),
+			generateHistoryMigration: options => history.generateMigration(options),
+			checkHistorySchema: options => history.checkSchema(options)
+		};
+
+		Object.keys(staticMethods).filter(supported).forEach(name => {
+			if (typeof model[name] === 'undefined') {
+				model[name] = staticMethods[name];
+			}
+		});
+
+		// Sequelize already provides a static `restore` for paranoid models,
+		// which is still used whenever no revision is given
+		if (this.modelHistory !== null && !Object.prototype.hasOwnProperty.call(model, 'restore')) {
+			const restore = model.restore;
+
+			model.restore = function (modelId, revisionId, options) {
+				if (typeof revisionId === 'undefined') {
+					return restore.apply(this, arguments);
+				}
+
+				return history.restore(modelId, revisionId, options);
+			};
+		}
+	}
+
+	/**
+	 * Builds find options for querying the revisions of a tracked instance
+	 * @private
+	 * @param {*} modelId - Primary key of the tracked instance
+	 * @param {object} options - Query options
+	 * @param {Date} options.since - Only include revisions archived at or after this date
+	 * @param {Date} options.until - Only include revisions archived at or before this date
+	 * @param {string|array} options.order - Sort direction (`ASC` or `DESC`) or a Sequelize order array
+	 * @param {boolean} options.includeAuthor - Include each revision's `author`, if an author model is set
+	 * @return {object} - Sequelize find options
+	 */
+	revisionQuery(modelId, options) {
+		const Op = this.sequelize.Sequelize.Op;
+		const query = Object.assign({}, options);
+		const archivedAt = {};
+
+		if (typeof query.since !== 'undefined') {
+			archivedAt[Op.gte] = query.since;
+		}
+
+		if (typeof query.until !== 'undefined') {
+			archivedAt[Op.lte] = query.until;
+		}
+
+		query.where = Object.assign({}, query.where, {
+			modelId: this.normalizeModelId(modelId)
+		});
+
+		if (Object.getOwnPropertySymbols(archivedAt).length > 0) {
+			query.where.archivedAt = archivedAt;
+		}
+
+		if (query.includeAuthor) {
+			if (this.authorModel === null || !this.sharesConnection) {
+				throw new Error(`${this.modelName} has no author model to include.`);
+			}
+
+			query.include = (query.include || []).concat({
+				model: this.authorModel,
+				as: 'author'
+			});
+		}
+
+		// Revisions archived within the same millisecond are
+		// kept in insertion order by falling back to the id
+		if (!Array.isArray(query.order)) {
+			const direction = (query.order || 'DESC').toUpperCase();
+
+			query.order = [
+				['archivedAt', direction],
+				['id', direction]
+			];
+		}
+
+		query.transaction = this.historyTransaction(query.transaction);
+
+		delete query.since;
+		delete query.until;
+		delete query.includeAuthor;
+		delete query.includeAssociations;
+
+		return query;
+	}
+
+	/**
+	 * Lists the revisions of a tracked instance, newest first by default.
+	 * With `includeAssociations`, the links added to and removed from its
+	 * tracked associations are merged in by `archivedAt`.
+	 * @param {*} modelId - Primary key of the tracked instance
+	 * @param {object} options - Query options (`limit`, `offset`, `order`, `since`, `until`, `includeAuthor`, `includeAssociations`, `transaction`...)
+	 * @return {Promise} - Resolves with an array of history model instances
+	 */
+	getRevisions(modelId, options) {
+		if (!options || !options.includeAssociations) {
+			return this.store.query(this,
+				this.revisionQuery(modelId, options));
+		}
+
+		if (!this.modelAssociationHistory) {
+			return this.sequelize.Promise.reject(new Error(`${this.modelName} does not record association changes.`));
+		}
+
+		// Each model is queried for enough rows to fill the requested page
+		// once merged, in the direction given by a string `order`
+		const direction = (typeof options.order === 'string' ? options.order : 'DESC').toUpperCase();
+		const query = this.revisionQuery(modelId, Object.assign({}, options, {order: direction}));
+		const offset = query.offset || 0;
+		const limit = query.limit;
+
+		if (typeof limit === 'number') {
+			query.limit = offset + limit;
+		}
+
+		delete query.offset;
+
+		return this.sequelize.Promise.all([
+			this.modelHistory.findAll(Object.assign({}, query)),
+			this.modelAssociationHistory.findAll(Object.assign({}, query))
+		]).then(results => {
+			const sign = direction === 'ASC' ? 1 : -1;
+			const merged = results[0].concat(results[1])
+				.sort((a, b) => sign * (a.archivedAt - b.archivedAt));
+
+			return merged.slice(offset, typeof limit === 'number' ? offset + limit : undefined);
+		});
+	}
+
+	/**
+	 * Counts the revisions of a tracked instance
+	 * @param {*} modelId - Primary key of the tracked instance
+	 * @param {object} options - Query options (`since`, `until`, `transaction`...)
+	 * @return {Promise} - Resolves with the number of revisions
+	 */
+	getRevisionCount(modelId, options) {
+		const query = this.revisionQuery(modelId, options);
+
+		delete query.order;
+
+		if (this.modelHistory === null) {
+			return this.store.query(this, query).then(revisions => revisions.length);
+		}
+
+		return this.modelHistory.count(query);
+	}
+
+	/**
+	 * Finds the revision holding the state of a tracked instance at a given date.
+	 * Revisions store the state replaced at `archivedAt`, so this is the oldest
+	 * revision archived after the date. Resolves with null if the live row
+	 * already held that state, or if the instance did not exist yet. With
+	 * `diff` storage the revision may only hold the fields it changed.
+	 * @param {*} modelId - Primary key of the tracked instance
+	 * @param {Date} date - Point in time to look up
+	 * @param {object} options - Query options (`transaction`...)
+	 * @return {Promise} - Resolves with a history model instance or null
+	 */
+	getRevisionAt(modelId, date, options) {
+		const Op = this.sequelize.Sequelize.Op;
+		const createdAt = this.model._timestampAttributes.createdAt;
+		const query = this.revisionQuery(modelId, Object.assign({}, options, {
+			order: 'ASC'
+		}));
+
+		query.where.archivedAt = {[Op.gt]: date};
+		Object.assign(query.where, this.stateWhere());
+
+		return this.modelHistory.findOne(query).then(revision => {
+			if (revision && createdAt && this.isSnapshot(revision) && revision.get(createdAt) &&
+				new Date(revision.get(createdAt)) > new Date(date)) {
+				return null;
+			}
+
+			return revision;
+		});
+	}
+
+	/**
+	 * Reconstructs the rows of the tracked model as they were at a given date.
+	 * Instances changed since then are read from the revision holding their
+	 * state at that date; the others are read from the live table. Rows
+	 * destroyed before the date (and, for timestamped models, rows created
+	 * after it) are excluded.
+	 * @param {Date} date - Point in time to reconstruct
+	 * @param {object} options - Query options
+	 * @param {object} options.where - Filter applied to the reconstructed rows
+	 * @param {Transaction} options.transaction - Transaction to run the queries in
+	 * @return {Promise} - Resolves with an array of tracked model instances
+	 */
+	findAllAsOf(date, options) {
+		const Sequelize = this.sequelize.Sequelize;
+		const Op = Sequelize.Op;
+		const opts = Object.assign({}, options);
+		const where = opts.where || {};
+		const createdAt = this.model._timestampAttributes.createdAt;
+
+		// Revisions holding field diffs can't be filtered in SQL, so
+		// they are filtered once their state has been reconstructed
+		const diffStorage = this.options.storage === 'diff';
+
+		const existedAt = values => !createdAt ||
+			!values[createdAt] || new Date(values[createdAt]) <= new Date(date);
+
+		if (diffStorage && !isEqualityWhere(where)) {
+			return Promise.reject(new Error('Only equality filters are supported when reading diff revisions.'));
+		}
+
+		// Oldest revision archived after the date, per instance
+		return this.modelHistory.findAll({
+			attributes: ['modelId', [Sequelize.fn('MIN', Sequelize.col('id')), 'revisionId']],
+			where: Object.assign({archivedAt: {[Op.gt]: date}}, this.stateWhere()),
+			group: ['modelId'],
+			raw: true,
+			transaction: this.historyTransaction(opts.transaction)
+		}).then(rows => {
+			const liveWhere = [where];
+			const archivedWhere = [{id: rows.map(row => row.revisionId)}];
+
+			if (createdAt) {
+				liveWhere.push({[createdAt]: {[Op.lte]: date}});
+			}
+
+			if (rows.length > 0) {
+				liveWhere.push(this.primaryKeys.length === 1 ?
+					{[this.primaryKeys[0]]: {[Op.notIn]: rows.map(row => row.modelId)}} :
+					{[Op.not]: {[Op.or]: rows.map(row => this.keyValues(row.modelId))}});
+			}
+
+			if (!diffStorage) {
+				archivedWhere.push(this.historyWhere(where));
+			}
+
+			return Promise.all([
+				this.model.findAll({
+					where: {[Op.and]: liveWhere},
+					transaction: opts.transaction
+				}),
+				rows.length === 0 ? [] : this.modelHistory.findAll({
+					where: {[Op.and]: archivedWhere},
+					transaction: this.historyTransaction(opts.transaction)
+				})
+			]);
+		}).then(results => Promise.all(results[1].map(revision => this.revisionState(revision, {
+			transaction: opts.transaction
+		}))).then(states => {
+			const archived = states
+				.filter(values => existedAt(values) && (!diffStorage || matchesWhere(values, where)))
+				.map(values => this.model.build(values, {isNewRecord: false, raw: true}));
+
+			return results[0]
+				.concat(archived)
+				.sort((a, b) => this.compareKeys(a.get({raw: true}), b.get({raw: true})));
+		}));
+	}
+
+	/**
+	 * Reconstructs a single row of the tracked model as it was at a given date
+	 * @param {*} modelId - Primary key of the tracked instance
+	 * @param {Date} date - Point in time to reconstruct
+	 * @param {object} options - Query options (`transaction`...)
+	 * @return {Promise} - Resolves with a tracked model instance, or null if the row didn't exist
+	 */
+	findOneAsOf(modelId, date, options) {
+		return this.findAllAsOf(date, Object.assign({}, options, {
+			where: this.keyValues(this.normalizeModelId(modelId))
+		})).then(rows => rows[0] || null);
+	}
+
+	/**
+	 * Lists the differences between two revisions, or any two sets of values
+	 * of a tracked model (instances or plain objects). The primary key and the
+	 * bookkeeping fields added by `createSchema` are ignored, as are excluded
+	 * attributes when either argument is a revision. Plain object values, such
+	 * as JSON attributes, are compared path by path.
+	 * With `diff` storage, compare reconstructed states rather than revisions.
+	 * @param {Sequelize.Model|object} from - Older revision or values
+	 * @param {Sequelize.Model|object} to - Newer revision or values
+	 * @param {object} options - Diff options
+	 * @param {array} options.ignore - Additional attributes to ignore
+	 * @return {array} - `{field, path, from, to}` objects, `path` being an array of keys
+	 */
+	static diff(from, to, options) {
+		const opts = Object.assign({ignore: []}, options);
+		const history = [from, to]
+			.map(values => values && values.constructor && values.constructor._sequelizeHistory)
+			.filter(Boolean)[0];
+
+		const ignored = ['id'].concat(opts.ignore, history ?
+			Object.keys(history.fields).concat(history.primaryKeys, Object.keys(history.model.rawAttributes)
+				.filter(field => !history.historyAttributes[field])) :
+			BOOKKEEPING_FIELDS);
+
+		const plain = values => {
+			// Live values are redacted like the revision they're compared to
+			if (history && values && values.constructor === history.model) {
+				return history.redactValues(values.get({plain: true}));
+			}
+
+			if (values && typeof values.get === 'function') {
+				return values.get({plain: true});
+			}
+
+			return Object.assign({}, values);
+		};
+
+		const a = plain(from);
+		const b = plain(to);
+		const changes = [];
+
+		Object.keys(Object.assign({}, a, b))
+			.filter(field => ignored.indexOf(field) === -1)
+			.forEach(field => diffValues(
+				nullify(a[field]), nullify(b[field]), [field], changes));
+
+		return changes;
+	}
+
+	/**
+	 * Lists the differences between one of an instance's revisions and its current values
+	 * @param {Sequelize.Model} instance - Tracked instance
+	 * @param {number|Date} target - Revision id, or the date to compare against
+	 * @param {object} options - Query options (`transaction`...)
+	 * @return {Promise} - Resolves with `{field, path, from, to}` objects
+	 */
+	diffWith(instance, target, options) {
+		return this.findRevision(this.modelIdOf(instance.get({raw: true})), target, options).then(revision => {
+			if (revision === null) {
+				return [];
+			}
+
+			return this.revisionState(revision, options).then(values => SequelizeHistory.diff(
+				values,
+				this.trackedValues(instance.get({plain: true})),
+				{ignore: Object.keys(this.fields).concat(this.options.excludedAttributes, this.primaryKeys)}));
+		});
+	}
+
+	/**
+	 * Finds a revision of a tracked instance by id or by date
+	 * @private
+	 * @param {*} modelId - Primary key of the tracked instance
+	 * @param {number|Date} target - Revision id, or the date to look the revision up at
+	 * @param {object} options - Query options (`transaction`...)
+	 * @return {Promise} - Resolves with a history model instance, or null when looking up a date the live row already covers
+	 */
+	findRevision(modelId, target, options) {
+		const opts = Object.assign({}, options);
+
+		modelId = this.normalizeModelId(modelId);
+
+		if (target instanceof Date) {
+			return this.getRevisionAt(modelId, target, {
+				transaction: opts.transaction
+			});
+		}
+
+		return this.modelHistory.findOne({
+			where: {id: target, modelId},
+			transaction: this.historyTransaction(opts.transaction)
+		}).then(revision => {
+			if (revision === null) {
+				throw new Error(`Revision ${target} of ${this.model.name} ${modelId} does not exist.`);
+			}
+
+			return revision;
+		});
+	}
+
+	/**
+	 * Extracts the values to write back to the tracked model from a revision.
+	 * Excluded attributes aren't archived and redacted ones can't be read
+	 * back, so both are left untouched.
+	 * @private
+	 * @param {Sequelize.Model} revision - History model instance
+	 * @param {object} options - Query options (`transaction`...)
+	 * @return {Promise} - Resolves with values keyed by the tracked model's attributes
+	 */
+	restorableValues(revision, options) {
+		const updatedAt = this.model._timestampAttributes.updatedAt;
+
+		return this.revisionState(revision, options).then(values => {
+			this.primaryKeys.concat(this.options.redactedAttributes).forEach(key => {
+				delete values[key];
+			});
+
+			if (updatedAt) {
+				delete values[updatedAt];
+			}
+
+			return values;
+		});
+	}
+
+	/**
+	 * Reverts a tracked instance to a previous revision. The instance is saved
+	 * normally, so the state being replaced is archived as a new revision.
+	 * @param {Sequelize.Model} instance - Tracked instance to revert
+	 * @param {number|Date} target - Revision id, or the date to revert to
+	 * @param {object} options - Save options (`transaction`...)
+	 * @return {Promise} - Resolves with the reverted instance
+	 */
+	revertTo(instance, target, options) {
+		const opts = Object.assign({}, options);
+
+		return this.findRevision(this.modelIdOf(instance.get({raw: true})), target, opts).then(revision => {
+			if (revision === null) {
+				return instance;
+			}
+
+			return this.restorableValues(revision, opts).then(values => instance.update(
+				values, Object.assign({}, opts, {historyOperation: 'restore'})));
+		});
+	}
+
+	/**
+	 * Restores a row of the tracked model from one of its revisions,
+	 * re-creating the row if it has been destroyed since
+	 * @param {*} modelId - Primary key of the tracked instance
+	 * @param {number|Date} target - Revision id, or the date to restore
+	 * @param {object} options - Save options (`transaction`...)
+	 * @return {Promise} - Resolves with the restored instance
+	 */
+	restore(modelId, target, options) {
+		const opts = Object.assign({}, options);
+
+		modelId = this.normalizeModelId(modelId);
+
+		return this.model.findOne({
+			where: this.keyValues(modelId),
+			transaction: opts.transaction
+		}).then(instance => {
+			if (instance !== null) {
+				return this.revertTo(instance, target, opts);
+			}
+
+			return this.findRevision(modelId, target, opts).then(revision => {
+				if (revision === null) {
+					throw new Error(`No revision of ${this.model.name} ${modelId} found at ${target.toISOString()}.`);
+				}
+
+				return this.restorableValues(revision, opts).then(values => this.model.create(
+					Object.assign(values, this.keyValues(modelId)), opts));
+			});
+		});
+	}
+
+	/**
+	 * Where clause matching the revisions holding a replaced state, which
+	 * excludes creation snapshots (rows written before the operation column
+	 * existed have no operation and are always a replaced state)
+	 * @private
+	 * @return {object} - Where clause for the history model
+	 */
+	stateWhere() {
+		const Op = this.sequelize.Sequelize.Op;
+
+		return {
+			[Op.or]: [
+				{operation: null},
+				{operation: {[Op.ne]: 'create'}}
+			]
+		};
+	}
+
+	/**
+	 * Maps a where clause written against the tracked model onto the history model.
+	 * Only single primary keys need mapping, composite ones are archived as is.
+	 * @private
+	 * @param {object} where - Where clause using the tracked model's attributes
+	 * @return {object} - Where clause using the history model's attributes
+	 */
+	historyWhere(where) {
+		const mapped = Object.assign({}, where);
+		const key = this.primaryKeys[0];
+
+		if (this.primaryKeys.length === 1 && typeof mapped[key] !== 'undefined') {
+			mapped.modelId = mapped[key];
+			delete mapped[key];
+		}
+
+		return mapped;
+	}
+
+	/**
+	 * Tells whether a revision holds a full snapshot of the tracked instance.
+	 * Revisions written with `diff` storage only hold the changed fields,
+	 * except for destroyed instances and bulk operations.
+	 * @private
+	 * @param {Sequelize.Model} revision - History model instance
+	 * @return {boolean}
+	 */
+	isSnapshot(revision) {
+		const changes = revision.get('changes');
+
+		return this.options.storage !== 'diff' ||
+			typeof changes === 'undefined' || changes === null;
+	}
+
+	/**
+	 * Reconstructs the full state held by a revision. Snapshots are read as
+	 * is; for diff revisions the live row (or the closest newer snapshot) is
+	 * walked back through every newer revision of the same instance.
+	 * @private
+	 * @param {Sequelize.Model} revision - History model instance
+	 * @param {object} options - Query options (`transaction`...)
+	 * @return {Promise} - Resolves with values keyed by the tracked model's attributes
+	 */
+	revisionState(revision, options) {
+		const Op = this.sequelize.Sequelize.Op;
+		const opts = Object.assign({}, options);
+		const modelId = revision.get('modelId');
+
+		if (this.isSnapshot(revision)) {
+			return Promise.resolve(this.revisionValues(revision));
+		}
+
+		return Promise.all([
+			this.model.findOne({
+				where: this.keyValues(modelId),
+				transaction: opts.transaction
+			}),
+			this.modelHistory.findAll({
+				where: {modelId, id: {[Op.gte]: revision.get('id')}},
+				order: [['id', 'DESC']],
+				transaction: this.historyTransaction(opts.transaction)
+			})
+		]).then(results => {
+			let values = results[0] ? this.trackedValues(results[0].get({plain: true})) : {};
+
+			results[1].forEach(newer => {
+				if (this.isSnapshot(newer)) {
+					values = this.revisionValues(newer);
+					return;
+				}
+
+				newer.get('changes').forEach(change => {
+					values[change.field] = this.parseValue(change.field, change.from);
+				});
+			});
+
+			return Object.assign(values, this.keyValues(modelId));
+		});
+	}
+
+	/**
+	 * Picks the archived attributes out of the tracked model's values
+	 * @private
+	 * @param {object} values - Values keyed by the tracked model's attributes
+	 * @return {object} - Values of the archived attributes, plus the primary key
+	 */
+	trackedValues(values) {
+		const tracked = this.keyValues(this.modelIdOf(values));
+
+		Object.keys(values).forEach(field => {
+			if (this.historyAttributes[field] &&
+				typeof this.fields[field] === 'undefined') {
+				tracked[field] = values[field];
+			}
+		});
+
+		return this.redactValues(tracked);
+	}
+
+	/**
+	 * Revives a value read back from a diff, which JSON stores dates in as strings
+	 * @private
+	 * @param {string} field - Attribute of the tracked model
+	 * @param {*} value - Value read from the diff
+	 * @return {*}
+	 */
+	parseValue(field, value) {
+		const attribute = this.model.rawAttributes[field];
+
+		if (attribute && attribute.type && attribute.type.key === 'DATE' &&
+			this.options.redactedAttributes.indexOf(field) === -1 &&
+			typeof value === 'string') {
+			return new Date(value);
+		}
+
+		return value;
+	}
+
+	/**
+	 * Extracts the tracked model's values from a revision, dropping
+	 * the bookkeeping fields added by `createSchema`
+	 * @private
+	 * @param {Sequelize.Model} revision - History model instance
+	 * @return {object} - Values keyed by the tracked model's attributes
+	 */
+	revisionValues(revision) {
+		const values = revision.get({plain: true});
+
+		Object.keys(this.fields).forEach(field => {
+			if (field !== 'modelId') {
+				delete values[field];
+			}
+		});
+
+		Object.assign(values, this.keyValues(values.modelId));
+		delete values.modelId;
+
+		return values;
+	}
+
+	/**
+	 * Derives the `modelId` of a tracked instance from its primary key.
+	 * Composite keys are serialized as a JSON array of their values.
+	 * @private
+	 * @param {object} values - Values of the tracked instance
+	 * @return {*} - The instance's `modelId`
+	 */
+	modelIdOf(values) {
+		if (this.primaryKeys.length === 1) {
+			return values[this.primaryKeys[0]];
+		}
+
+		return JSON.stringify(this.primaryKeys.map(key => values[key]));
+	}
+
+	/**
+	 * Normalizes a primary key passed to the public methods, where
+	 * composite keys can be given as an object of their values
+	 * @private
+	 * @param {*} modelId - Primary key value, object of composite key values, or `modelId`
+	 * @return {*} - The instance's `modelId`
+	 */
+	normalizeModelId(modelId) {
+		if (this.primaryKeys.length > 1 && isPlainObject(modelId)) {
+			return this.modelIdOf(modelId);
+		}
+
+		return modelId;
+	}
+
+	/**
+	 * Maps a `modelId` back onto the tracked model's primary key
+	 * @private
+	 * @param {*} modelId - The instance's `modelId`
+	 * @return {object} - Primary key values keyed by attribute
+	 */
+	keyValues(modelId) {
+		const values = this.primaryKeys.length === 1 ? [modelId] : JSON.parse(modelId);
+
+		return this.primaryKeys.reduce((key, attribute, index) => {
+			key[attribute] = values[index];
+			return key;
+		}, {});
+	}
+
+	/**
+	 * Sort comparator ordering tracked model values by primary key
+	 * @private
+	 * @param {object} a - Values of a tracked instance
+	 * @param {object} b - Values of another tracked instance
+	 * @return {number}
+	 */
+	compareKeys(a, b) {
+		const key = this.primaryKeys.find(attribute => a[attribute] !== b[attribute]);
+
+		if (typeof key === 'undefined') {
+			return 0;
+		}
+
+		return a[key] < b[key] ? -1 : 1;
+	}
+
+	/**
+	 * Resolves the author of a revision: the `historyAuthor` query option
+	 * comes first, then the author of the surrounding `runAs` scope, then
+	 * the value passed to the static `setRevisingAuthor`
+	 * @private
+	 * @param {object} options - Query options
+	 * @return {*} - The author, or null if none was given
+	 */
+	revisionAuthor(options) {
+		const scope = historyContext ? historyContext.getStore() : undefined;
+		let author = null;
+
+		if (typeof options.historyAuthor !== 'undefined') {
+			author = options.historyAuthor;
+		} else if (scope && typeof scope.author !== 'undefined') {
+			author = scope.author;
+		} else if (this.usesStaticAuthor(options)) {
+			author = this.model._sequelizeHistoryProps._authorId;
+		}
+
+		return author;
+	}
+
+	/**
+	 * Resolves the metadata of a revision by merging the `historyMeta` query
+	 * option over the metadata of the surrounding `runWith` scope, and maps
+	 * it onto the metadata columns
+	 * @private
+	 * @param {object} options - Query options
+	 * @return {object} - Values of the metadata columns
+	 */
+	metadataValues(options) {
+		const scope = historyContext ? historyContext.getStore() : undefined;
+		const meta = Object.assign({}, scope && scope.meta, options.historyMeta);
+		const values = {};
+
+		Object.keys(this.options.metadataFields || {}).forEach(field => {
+			values[field] = typeof meta[field] === 'undefined' ? null : meta[field];
+		});
+
+		if (typeof this.options.metaFieldName === 'string') {
+			values[this.options.metaFieldName] = Object.keys(meta).length > 0 ? meta : null;
+		}
+
+		return values;
+	}
+
+	/**
+	 * Passes a transaction on to the history model, unless it belongs to
+	 * another connection than the one the store keeps revisions on
+	 * @private
+	 * @param {Transaction} transaction - Transaction of the query
+	 * @return {Transaction|undefined}
+	 */
+	historyTransaction(transaction) {
+		if (!transaction || this.sharesConnection) {
+			return transaction;
+		}
+
+		return this.modelHistory !== null && transaction.sequelize === this.modelHistory.sequelize ?
+			transaction :
+			undefined;
+	}
+
+	/**
+	 * Resolves the changeset of a revision: the `historyChangesetId` query
+	 * option comes first, then the changeset of the surrounding `runWith`
+	 * scope, then the one generated for the query's transaction. Queries
+	 * run outside of a transaction get a changeset of their own.
+	 * @private
+	 * @param {object} options - Query options
+	 * @return {string} - The changeset id
+	 */
+	changesetId(options) {
+		const scope = historyContext ? historyContext.getStore() : undefined;
+
+		if (typeof options.historyChangesetId !== 'undefined') {
+			return options.historyChangesetId;
+		}
+
+		if (scope && typeof scope.changesetId !== 'undefined') {
+			return scope.changesetId;
+		}
+
+		if (!options.transaction) {
+			return newChangesetId();
+		}
+
+		// Savepoints belong to the changeset of the transaction holding them
+		const transaction = rootTransaction(options.transaction);
+
+		if (!changesetIds.has(transaction)) {
+			changesetIds.set(transaction, newChangesetId());
+		}
+
+		return changesetIds.get(transaction);
+	}
+
+	/**
+	 * Tells whether a revision falls back to the author passed to `setRevisingAuthor`
+	 * @private
+	 * @param {object} options - Query options
+	 * @return {boolean}
+	 */
+	usesStaticAuthor(options) {
+		const scope = historyContext ? historyContext.getStore() : undefined;
+
+		return typeof options.historyAuthor === 'undefined' &&
+			!(scope && typeof scope.author !== 'undefined') &&
+			typeof this.model._sequelizeHistoryProps !== 'undefined';
+	}
+
+	/**
+	 * Runs a function within a scope whose revisions are attributed to an
+	 * author. The scope follows asynchronous calls, so concurrent requests
+	 * can't attribute each other's changes. Requires `AsyncLocalStorage`.
+	 * @param {*} author - Author of the revisions written within the scope
+	 * @param {function} fn - Function to run
+	 * @return {*} - The function's return value
+	 */
+	static runAs(author, fn) {
+		return SequelizeHistory.runWith({author}, fn);
+	}
+
+	/**
+	 * Runs a function within a scope whose revisions share an author and/or
+	 * metadata. Nested scopes inherit the author and merge the metadata of
+	 * the scopes surrounding them. Requires `AsyncLocalStorage`.
+	 * @param {object} context - Scope of the revisions
+	 * @param {*} context.author - Author of the revisions written within the scope
+	 * @param {object} context.meta - Metadata of the revisions written within the scope
+	 * @param {function} fn - Function to run
+	 * @return {*} - The function's return value
+	 */
+	static runWith(context, fn) {
+		if (historyContext === null) {
+			throw new Error('Scoped revisions require AsyncLocalStorage, which this version of Node.js lacks.');
+		}
+
+		if (!scopesEntered) {
+			scopesEntered = true;
+			promiseLibraries.forEach(library => library.config({asyncHooks: true}));
+		}
+
+		const parent = historyContext.getStore() || {};
+		const scope = Object.assign({}, parent, context);
+
+		scope.meta = Object.assign({}, parent.meta, context.meta);
+
+		return historyContext.run(scope, fn);
+	}
+
+	/**
+	 * Lists the revisions written in one changeset across every history
+	 * model of a Sequelize instance, including association links, oldest first
+	 * @param {Sequelize} sequelize - Sequelize instance the tracked models are defined on
+	 * @param {string} changesetId - Id of the changeset
+	 * @param {object} options - Query options (`transaction`)
+	 * @return {Promise} - Resolves with an array of history model instances
+	 */
+	static getChangeset(sequelize, changesetId, options) {
+		const opts = Object.assign({}, options);
+		const models = Object.keys(sequelize.models)
+			.map(name => sequelize.models[name])
+			.filter(model => model._sequelizeHistory && model.rawAttributes.changesetId);
+
+		return sequelize.Promise.all(models.map(model => model.findAll({
+			where: {changesetId},
+			order: [['archivedAt', 'ASC'], ['id', 'ASC']],
+			transaction: model._sequelizeHistory.historyTransaction(opts.transaction)
+		}))).then(results => [].concat(...results)
+			.sort((a, b) => a.archivedAt - b.archivedAt));
+	}
+
+	/**
+	 * Reverts every instance changed in a changeset to its state before the
+	 * changeset, newest change first. Instances created in the changeset are
+	 * destroyed when their creation was recorded with `trackCreation`.
+	 * Association links aren't reverted, unless their through or target
+	 * model is tracked itself. The reverting changes are archived as a new
+	 * changeset, unless a transaction or `historyChangesetId` is given.
+	 * @param {Sequelize} sequelize - Sequelize instance the tracked models are defined on
+	 * @param {string} changesetId - Id of the changeset
+	 * @param {object} options - Save options (`transaction`, `historyChangesetId`...)
+	 * @return {Promise} - Resolves with the number of reverted instances
+	 */
+	static revertChangeset(sequelize, changesetId, options) {
+		const opts = Object.assign({}, options);
+
+		if (!opts.transaction && typeof opts.historyChangesetId === 'undefined') {
+			opts.historyChangesetId = newChangesetId();
+		}
+
+		return SequelizeHistory.getChangeset(sequelize, changesetId, opts).then(revisions => {
+			const earliest = new Map();
+
+			// The first revision of each instance holds its state before the changeset
+			revisions
+				.filter(revision => revision.constructor === revision.constructor._sequelizeHistory.modelHistory)
+				.forEach(revision => {
+					const key = `${revision.constructor.name} ${revision.modelId}`;
+
+					if (!earliest.has(key)) {
+						earliest.set(key, revision);
+					}
+				});
+
+			const reverted = Array.from(earliest.values()).reverse();
+
+			return reverted.reduce((promise, revision) => promise.then(() =>
+				revision.constructor._sequelizeHistory.revertRevision(revision, opts)),
+			sequelize.Promise.resolve()).then(() => reverted.length);
+		});
+	}
+
+	/**
+	 * Returns a tracked instance to the state held by a revision, destroying
+	 * it if the revision records its creation
+	 * @private
+	 * @param {Sequelize.Model} revision - History model instance
+	 * @param {object} options - Save options (`transaction`...)
+	 * @return {Promise}
+	 */
+	revertRevision(revision, options) {
+		if (revision.operation !== 'create') {
+			return this.restore(revision.modelId, revision.id, options);
+		}
+
+		return this.model.findOne({
+			where: this.keyValues(revision.modelId),
+			transaction: options.transaction
+		}).then(instance => instance && instance.destroy(options));
+	}
+
+	/**
+	 * Sets attributes of history model by parsing out target model attributes
+	 * @private
+	 * @return {object}
+	 */
+	setAttributes() {
+		const cloned = cloneDeep(this.model.rawAttributes);
+
+		const attributes = [];
+
+		Object.keys(cloned).forEach(field => {
+			const f = cloned[field];
+
+			// If attribute should be excluded, or isn't included, skip...
+			if (this.options.excludedAttributes.indexOf(f.fieldName) > -1) {
+				return;
+			}
+
+			if (Array.isArray(this.options.includedAttributes) &&
+				this.options.includedAttributes.indexOf(f.fieldName) === -1 &&
+				this.primaryKeys.indexOf(field) === -1) {
+				return;
+			}
+
+			// Skip the id attribute, which the tracking model has its own
+			// of, and a single primary key, which is stored as the modelId...
+			if (f.fieldName === 'id' ||
+				(this.primaryKeys.length === 1 && field === this.primaryKeys[0])) {
+				return;
+			}
+
+			// Remove any attribute properties that should be excluded...
+			this.options.excludedAttributeProperties.forEach(prop => {
+				if (typeof f[prop] !== 'undefined') {
+					delete f[prop];
+				}
+			});
+
+			// Remove the default behavior of auto-updating the timestamps...
+			if (f.fieldName === 'createdAt' ||
+				f.fieldName === 'updatedAt') {
+				delete f.defaultValue;
+			}
+
+			// Store redacted values as strings, which the original
+			// attribute's validations no longer apply to...
+			if (this.options.redactedAttributes.indexOf(f.fieldName) > -1) {
+				f.type = new this.sequelize.Sequelize.STRING();
+				delete f.validate;
+			}
+
+			// Allow all fields to be NULL...
+			f.allowNull = true;
+
+			// And store the modified attribute
+			attributes[field] = f;
+		});
+
+		return merge({}, this.fields, attributes);
+	}
+
+	/**
+	 * Creates fields to be added in addition to the tracked model's fields
+	 * @private
+	 * @return {object} - Model instance field options
+	 */
+	createSchema(sequelize) {
+		const schema = {
+			id: {
+				type: sequelize.INTEGER,
+				autoIncrement: true,
+				primaryKey: true,
+				unique: true
+			},
+			modelId: {
+				type: this.primaryKeys.length === 1 ?
+					this.model.rawAttributes[this.primaryKeys[0]].type :
+					sequelize.STRING,
+				allowNull: true
+			},
+			archivedAt: {
+				type: sequelize.DATE,
+				defaultValue: sequelize.NOW,
+				allowNull: false
+			},
+			operation: {
+				type: sequelize.STRING,
+				allowNull: true
+			}
+		};
+
+		// Add our field diff column if diffs are stored
+		if (this.options.storage !== 'snapshot') {
+			schema.changes = {
+				type: sequelize.JSON,
+				allowNull: true
+			};
+		}
+
+		// Add our author tracking field if set, typed after the author
+		// model's primary key unless a type is given
+		if (typeof this.options.authorFieldName === 'string') {
+			let type = this.options.authorFieldType || sequelize.INTEGER;
+
+			if (!this.options.authorFieldType && this.authorModel) {
+				type = this.authorModel.rawAttributes[this.authorModel.primaryKeyAttribute].type;
+			}
+
+			schema[this.options.authorFieldName] = {
+				type,
+				allowNull: true
+			};
+		}
+
+		// Add our metadata fields if set
+		Object.keys(this.options.metadataFields || {}).forEach(field => {
+			const definition = this.options.metadataFields[field];
+
+			if (this.model.rawAttributes[field]) {
+				throw new Error(`Metadata field ${field} collides with an attribute of ${this.model.name}.`);
+			}
+
+			schema[field] = Object.assign({allowNull: true},
+				isPlainObject(definition) ? definition : {type: definition});
+		});
+
+		if (typeof this.options.metaFieldName === 'string') {
+			schema[this.options.metaFieldName] = {
+				type: sequelize.JSON,
+				allowNull: true
+			};
+		}
+
+		// Add our changeset field if set
+		if (this.options.changesets) {
+			if (this.model.rawAttributes.changesetId) {
+				throw new Error(`Changeset field changesetId collides with an attribute of ${this.model.name}.`);
+			}
+
+			schema.changesetId = {
+				type: sequelize.STRING,
+				allowNull: true
+			};
+		}
+
+		// Add our hash chain fields if integrity is enabled
+		if (this.options.integrity) {
+			['hash', 'prevHash'].forEach(field => {
+				if (this.model.rawAttributes[field]) {
+					throw new Error(`Integrity field ${field} collides with an attribute of ${this.model.name}.`);
+				}
+
+				schema[field] = {
+					type: new sequelize.STRING(64),
+					allowNull: true
+				};
+			});
+		}
+
+		return schema;
+	}
+
+	/**
+	 * Attaches hooks to target model and history model
+	 * @private
+	 * @return {null}
+	 */
+	hookup() {
+		// Triggers installed with `installTriggers` do the archiving otherwise
+		if (this.options.mode !== 'trigger') {
+			this.model.addHook('beforeUpdate', (doc, options) => this.insertHook(doc, options, 'update'));
+			this.model.addHook('beforeDestroy', (doc, options) => this.insertHook(doc, options, 'destroy'));
+			this.model.addHook('beforeBulkUpdate', options => this.insertBulkHook(options, 'bulkUpdate'));
+			this.model.addHook('beforeBulkDestroy', options => this.insertBulkHook(options, 'bulkDestroy'));
+
+			if (this.options.trackCreation) {
+				this.model.addHook('afterCreate', (doc, options) => this.insertHook(doc, options, 'create'));
+			}
+		}
+
+		if (this.modelHistory !== null) {
+			this.guardHistoryModel(this.modelHistory);
+		}
+
+		if (this.options.integrity) {
+			this.modelHistory.addHook('beforeCreate', (revision, options) =>
+				this.sealRevisions([revision], options));
+			this.modelHistory.addHook('beforeBulkCreate', (revisions, options) => {
+				const timestamps = this.modelHistory._timestampAttributes;
+				const now = new Date();
+
+				// Sequelize only sets these after the hook, too late to be hashed
+				revisions.forEach(revision => {
+					[timestamps.createdAt, timestamps.updatedAt].forEach(field => {
+						if (field && !revision.dataValues[field]) {
+							revision.dataValues[field] = now;
+						}
+					});
+				});
+
+				return this.sealRevisions(revisions, options);
+			});
+		}
+	}
+
+	/**
+	 * Makes a history model read-only by hooking `readOnlyHook` into its writes
+	 * @private
+	 * @param {Sequelize.Model} model - History model to guard
+	 * @return {null}
+	 */
+	guardHistoryModel(model) {
+		[
+			'beforeUpdate',
+			'beforeBulkUpdate',
+			'beforeDestroy',
+			'beforeBulkDestroy',
+			'beforeUpsert',
+			'beforeRestore',
+			'beforeBulkRestore'
+		].forEach(hook => model.addHook(hook, this.readOnlyHook.bind(this)));
+
+		// Increments run no hooks, so the history model's own is guarded
+		const increment = model.increment;
+
+		model.increment = function (fields, options) {
+			return this.sequelize.Promise.resolve()
+				.then(() => this._sequelizeHistory.readOnlyHook(options))
+				.then(() => increment.call(this, fields, options));
+		};
+	}
+
+	/**
+	 * Enforces read-only nature of history models, letting through the
+	 * queries issued by this module's own maintenance methods and those
+	 * explicitly flagged with the `historyWritable` option
+	 * @private
+	 * @param {...*} args - Hook arguments, ending with the query options
+	 * @return {null}
+	 */
+	readOnlyHook(...args) {
+		const options = args[args.length - 1] || {};
+
+		if (options.historyPrivilege === PRIVILEGE || options.historyWritable === true) {
+			return;
+		}
+
+		throw new HistoryReadOnlyError(this.modelName);
+	}
+
+	/**
+	 * Defines a model recording the links added to and removed from the
+	 * tracked model's `belongsToMany` and `hasMany` associations, and hooks
+	 * it into the through and target models
+	 * @private
+	 * @param {Sequelize} sequelize - The passed Sequelize instance
+	 * @return {null}
+	 */
+	trackAssociations(sequelize) {
+		const Sequelize = sequelize.Sequelize;
+		const supported = ['BelongsToMany', 'HasMany'];
+		const associations = this.model.associations;
+		const names = this.options.trackAssociations === true ?
+			Object.keys(associations).filter(name =>
+				supported.indexOf(associations[name].associationType) !== -1 &&
+				!associations[name].target._sequelizeHistory) :
+			[].concat(this.options.trackAssociations);
+
+		if (this.primaryKeys.length > 1) {
+			throw new Error(`${this.model.name} has a composite primary key, so its associations cannot be tracked.`);
+		}
+
+		names.forEach(name => {
+			const association = associations[name];
+
+			if (!association || supported.indexOf(association.associationType) === -1) {
+				throw new Error(`${name} is not a belongsToMany or hasMany association of ${this.model.name} - associations are tracked once defined.`);
+			}
+
+			if (association.sourceKey && association.sourceKey !== this.primaryKeys[0]) {
+				throw new Error(`${name} is not keyed by the primary key of ${this.model.name} and cannot be tracked.`);
+			}
+		});
+
+		const schema = {
+			id: this.fields.id,
+			modelId: this.fields.modelId,
+			association: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			operation: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			targetId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			archivedAt: this.fields.archivedAt
+		};
+
+		// Links share the author, metadata and changeset columns of the revisions
+		Object.keys(this.fields)
+			.filter(field => field === this.options.authorFieldName || field === 'changesetId' ||
+				field === this.options.metaFieldName ||
+				Object.prototype.hasOwnProperty.call(this.options.metadataFields || {}, field))
+			.forEach(field => {
+				schema[field] = this.fields[field];
+			});
+
+		this.associationModelName = `${this.modelName}Association`;
+
+		sequelize.define(this.associationModelName, schema, {});
+
+		this.modelAssociationHistory = sequelize.models[this.associationModelName];
+		this.modelAssociationHistory._sequelizeHistory = this;
+		this.guardHistoryModel(this.modelAssociationHistory);
+
+		if (this.authorModel !== null) {
+			this.modelAssociationHistory.belongsTo(this.authorModel, {
+				foreignKey: this.options.authorFieldName,
+				constraints: false,
+				as: 'author'
+			});
+		}
+
+		names.forEach(name => this.hookAssociation(associations[name]));
+	}
+
+	/**
+	 * Hooks into the writes that link rows to the tracked model through an
+	 * association - through rows of a `belongsToMany`, and the foreign key
+	 * of the targets of a `hasMany`
+	 * @private
+	 * @param {Association} association - Association to track
+	 * @return {null}
+	 */
+	hookAssociation(association) {
+		const record = (links, operation, options) =>
+			this.insertAssociationRevisions(association.as, links, operation, options);
+		const find = (model, options) => model.findAll({
+			where: options.where,
+			transaction: options.transaction
+		});
+
+		if (association.associationType === 'BelongsToMany') {
+			const through = association.through.model;
+			const link = row => ({
+				modelId: row.get(association.foreignKey),
+				targetId: row.get(association.otherKey)
+			});
+
+			through.addHook('afterCreate', (row, options) => record([link(row)], 'add', options));
+			through.addHook('afterBulkCreate', (rows, options) => record(rows.map(link), 'add', options));
+			through.addHook('beforeDestroy', (row, options) => record([link(row)], 'remove', options));
+			through.addHook('beforeBulkDestroy', options => {
+				if (options.individualHooks) {
+					return;
+				}
+
+				return find(through, options).then(rows => record(rows.map(link), 'remove', options));
+			});
+
+			return;
+		}
+
+		const target = association.target;
+		const foreignKey = association.foreignKey;
+		const link = (row, modelId) => ({
+			modelId,
+			targetId: row.get(target.primaryKeyAttribute)
+		});
+
+		target.addHook('afterCreate', (row, options) =>
+			record([link(row, row.get(foreignKey))], 'add', options));
+		target.addHook('beforeUpdate', (row, options) => {
+			if (!row.changed(foreignKey)) {
+				return;
+			}
+
+			return record([link(row, row.previous(foreignKey))], 'remove', options)
+				.then(() => record([link(row, row.get(foreignKey))], 'add', options));
+		});
+		target.addHook('beforeDestroy', (row, options) =>
+			record([link(row, row.get(foreignKey))], 'remove', options));
+		target.addHook('beforeBulkUpdate', options => {
+			if (options.individualHooks || !Object.prototype.hasOwnProperty.call(options.attributes, foreignKey)) {
+				return;
+			}
+
+			const modelId = options.attributes[foreignKey];
+
+			return find(target, options).then(rows => {
+				const moved = rows.filter(row => !sameValue(row.get(foreignKey), modelId));
+
+				return record(moved.map(row => link(row, row.get(foreignKey))), 'remove', options)
+					.then(() => record(moved.map(row => link(row, modelId)), 'add', options));
+			});
+		});
+		target.addHook('beforeBulkDestroy', options => {
+			if (options.individualHooks) {
+				return;
+			}
+
+			return find(target, options).then(rows =>
+				record(rows.map(row => link(row, row.get(foreignKey))), 'remove', options));
+		});
+	}
+
+	/**
+	 * Records links added to or removed from an association of tracked instances
+	 * @private
+	 * @param {string} association - Alias of the association
+	 * @param {array} links - `{modelId, targetId}` objects, those missing either being skipped
+	 * @param {string} operation - `add` or `remove`
+	 * @param {object} options - Options of the query changing the links
+	 * @return {Promise}
+	 */
+	insertAssociationRevisions(association, links, operation, options) {
+		const archivedAt = new Date();
+		const values = Object.assign({association, operation, archivedAt},
+			this.metadataValues(options));
+
+		if (typeof this.options.authorFieldName === 'string') {
+			values[this.options.authorFieldName] = this.revisionAuthor(options);
+		}
+
+		if (this.options.changesets) {
+			values.changesetId = this.changesetId(options);
+		}
+
+		const revisions = links
+			.filter(link => link.modelId !== null && typeof link.modelId !== 'undefined' &&
+				link.targetId !== null && typeof link.targetId !== 'undefined')
+			.map(link => Object.assign({}, values, {
+				modelId: link.modelId,
+				targetId: String(link.targetId)
+			}));
+
+		if (revisions.length === 0) {
+			return this.sequelize.Promise.resolve();
+		}
+
+		return this.modelAssociationHistory.bulkCreate(revisions, {
+			transaction: options.transaction
+		});
+	}
+
+	/**
+	 * Deletes revisions that fall outside the retention policy, in batches.
+	 * Rules default to the `retention` option and can be overridden per call.
+	 * @param {object} options - Pruning options
+	 * @param {number} options.maxRevisions - Number of revisions to keep per instance
+	 * @param {number} options.maxAge - Age in milliseconds after which revisions are deleted
+	 * @param {boolean} options.keepDestroyed - Keep the final snapshot of destroyed instances forever
+	 * @param {number} options.batchSize - Number of revisions deleted per query
+	 * @param {boolean} options.dryRun - Only count the revisions that would be deleted
+	 * @param {Transaction} options.transaction - Transaction to run the queries in
+	 * @return {Promise} - Resolves with the number of deleted (or deletable) revisions
+	 */
+	prune(options) {
+		const Sequelize = this.sequelize.Sequelize;
+		const Op = Sequelize.Op;
+		const rules = Object.assign({batchSize: 1000}, this.options.retention, options);
+		const transaction = this.historyTransaction(rules.transaction);
+		const kept = {id: {[Op.in]: this.finalDestroyLiteral()}};
+		const expired = [];
+		let survivors = {};
+		let pending = [];
+		let count = 0;
+
+		const flush = () => {
+			const ids = pending;
+
+			pending = [];
+			count += ids.length;
+
+			return rules.dryRun || ids.length === 0 ? null : this.modelHistory.destroy({
+				where: {id: ids},
+				transaction,
+				historyPrivilege: PRIVILEGE
+			});
+		};
+
+		const queue = ids => {
+			pending = pending.concat(ids);
+			return pending.length >= rules.batchSize ? flush() : null;
+		};
+
+		if (rules.keepDestroyed) {
+			expired.push({[Op.not]: kept});
+		}
+
+		// Counting only the revisions `maxAge` leaves, which a dry run doesn't delete
+		if (rules.maxAge) {
+			const cutoff = new Date(Date.now() - rules.maxAge);
+
+			expired.push({archivedAt: {[Op.lt]: cutoff}});
+			survivors = {[Op.or]: [{archivedAt: {[Op.gte]: cutoff}}].concat(rules.keepDestroyed ? [kept] : [])};
+		}
+
+		// Final destroy snapshots count towards `maxRevisions`, but are never deleted
+		const deletable = ids => !rules.keepDestroyed || ids.length === 0 ?
+			ids :
+			this.modelHistory.findAll({
+				attributes: ['id'],
+				where: {[Op.and]: [{id: ids}, {[Op.not]: kept}]},
+				raw: true,
+				transaction
+			}).then(rows => rows.map(row => row.id));
+
+		// Expired revisions are deleted first, batch by batch
+		const pruneExpired = () => {
+			if (!rules.maxAge) {
+				return Promise.resolve();
+			}
+
+			if (rules.dryRun) {
+				return this.modelHistory.count({
+					where: {[Op.and]: expired},
+					transaction
+				}).then(c => {
+					count += c;
+				});
+			}
+
+			return this.modelHistory.findAll({
+				attributes: ['id'],
+				where: {[Op.and]: expired},
+				limit: rules.batchSize,
+				raw: true,
+				transaction
+			}).then(rows => {
+				if (rows.length === 0) {
+					return null;
+				}
+
+				return Promise.resolve(queue(rows.map(row => row.id)))
+					.then(flush)
+					.then(pruneExpired);
+			});
+		};
+
+		// ...then the revisions left beyond the newest `maxRevisions` of each
+		// instance - the final destroy snapshot is always the newest one
+		const pruneExcess = () => {
+			if (!rules.maxRevisions) {
+				return Promise.resolve();
+			}
+
+			return this.modelHistory.findAll({
+				attributes: ['modelId'],
+				where: survivors,
+				group: ['modelId'],
+				having: Sequelize.where(Sequelize.fn('COUNT', Sequelize.col('id')), {
+					[Op.gt]: rules.maxRevisions
+				}),
+				raw: true,
+				transaction
+			}).then(rows => rows.reduce((chain, row) => chain.then(() => this.modelHistory.findAll({
+				attributes: ['id'],
+				where: {[Op.and]: [{modelId: row.modelId}, survivors]},
+				order: [['archivedAt', 'DESC'], ['id', 'DESC']],
+				offset: rules.maxRevisions,
+				raw: true,
+				transaction
+			})).then(excess => deletable(excess.map(revision => revision.id))).then(queue), Promise.resolve()));
+		};
+
+		if (!rules.maxAge && !rules.maxRevisions) {
+			return Promise.resolve(0);
+		}
+
+		return pruneExpired()
+			.then(pruneExcess)
+			.then(flush)
+			.then(() => count);
+	}
+
+	/**
+	 * Runs a write of revisions once the writes of earlier revisions of the
+	 * same instances are done. Revisions are linked to the newest revision
+	 * stored when they are written, so concurrent writes would otherwise
+	 * link to the same one.
+	 * @private
+	 * @param {array} rows - Values of the revisions
+	 * @param {function} write - Writes the revisions
+	 * @return {Promise} - Resolves with the result of the write
+	 */
+	extendChains(rows, write) {
+		if (!this.options.integrity) {
+			return write();
+		}
+
+		const keys = Array.from(new Set(rows.map(row => String(row.modelId))));
+		const result = Promise.all(keys.map(key => this.chains.get(key)))
+			.then(() => write());
+		const done = result.then(() => null, () => null);
+
+		keys.forEach(key => this.chains.set(key, done));
+		done.then(() => keys.forEach(key => {
+			if (this.chains.get(key) === done) {
+				this.chains.delete(key);
+			}
+		}));
+
+		return result;
+	}
+
+	/**
+	 * Links revisions about to be written to the newest revision of the
+	 * same instance, and hashes their content along with that link
+	 * @private
+	 * @param {array} revisions - History model instances about to be created
+	 * @param {object} options - Query options
+	 * @return {Promise}
+	 */
+	sealRevisions(revisions, options) {
+		const modelIds = revisions
+			.map(revision => revision.dataValues.modelId)
+			.filter(modelId => modelId !== null && typeof modelId !== 'undefined');
+
+		return this.latestHashes(modelIds, options.transaction).then(hashes => {
+			revisions.forEach(revision => {
+				const key = String(revision.dataValues.modelId);
+
+				revision.dataValues.prevHash = hashes.get(key) || null;
+				revision.dataValues.hash = this.revisionHash(revision.dataValues);
+				hashes.set(key, revision.dataValues.hash);
+			});
+		});
+	}
+
+	/**
+	 * Looks up the hash of the newest revision of each of the given instances
+	 * @private
+	 * @param {array} modelIds - `modelId` values of the instances
+	 * @param {Transaction} transaction - Transaction to run the queries in
+	 * @return {Promise} - Resolves with a Map of hashes keyed by stringified `modelId`
+	 */
+	latestHashes(modelIds, transaction) {
+		const Sequelize = this.sequelize.Sequelize;
+		const hashes = new Map();
+
+		if (modelIds.length === 0) {
+			return Promise.resolve(hashes);
+		}
+
+		return this.lockInstances(modelIds, transaction).then(() => this.modelHistory.findAll({
+			attributes: [[Sequelize.fn('MAX', Sequelize.col('id')), 'id']],
+			where: {modelId: modelIds},
+			group: ['modelId'],
+			raw: true,
+			transaction
+		}).then(rows => rows.length === 0 ? [] : this.modelHistory.findAll({
+			attributes: ['modelId', 'hash'],
+			where: {id: rows.map(row => row.id)},
+			raw: true,
+			transaction
+		}))).then(rows => {
+			rows.forEach(row => hashes.set(String(row.modelId), row.hash));
+			return hashes;
+		});
+	}
+
+	/**
+	 * Locks the rows of the given instances until the transaction ends, so
+	 * that transactions changing the same instance read its newest revision
+	 * one after another. Left to the in-process queue on dialects without
+	 * row locks and for stores on another connection.
+	 * @private
+	 * @param {array} modelIds - `modelId` values of the instances
+	 * @param {Transaction} transaction - Transaction to take the locks in
+	 * @return {Promise}
+	 */
+	lockInstances(modelIds, transaction) {
+		const Op = this.sequelize.Sequelize.Op;
+
+		if (!transaction || !this.sharesConnection || !this.sequelize.dialect.supports.lock) {
+			return Promise.resolve();
+		}
+
+		return this.model.findAll({
+			attributes: this.primaryKeys,
+			where: this.primaryKeys.length === 1 ?
+				{[this.primaryKeys[0]]: modelIds} :
+				{[Op.or]: modelIds.map(modelId => this.keyValues(modelId))},
+			lock: transaction.LOCK.UPDATE,
+			paranoid: false,
+			raw: true,
+			transaction
+		});
+	}
+
+	/**
+	 * Hashes the content of a revision, including the link to its predecessor.
+	 * Null columns are left out so that adding a column keeps old hashes valid.
+	 * @private
+	 * @param {object} values - Values of the revision
+	 * @return {string} - Hex encoded SHA-256 hash
+	 */
+	revisionHash(values) {
+		const content = Object.keys(this.modelHistory.tableAttributes)
+			.filter(field => field !== 'id' && field !== 'hash')
+			.sort()
+			.reduce((content, field) => {
+				if (values[field] !== null && typeof values[field] !== 'undefined') {
+					content[field] = canonicalValue(values[field]);
+				}
+
+				return content;
+			}, {});
+
+		return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+	}
+
+	/**
+	 * Checks the hash chain of each instance's revisions, reporting revisions
+	 * whose content no longer matches their hash and broken or missing links.
+	 * Revisions written before `integrity` was enabled are skipped, telling
+	 * them apart by being older than the first sealed revision.
+	 * @param {object} options - Verification options
+	 * @param {*} options.modelId - Only check the revisions of this instance
+	 * @param {number} options.sealedSince - `id` of the first revision written with `integrity`, looked up by default
+	 * @param {boolean} options.allowPruned - Accept chains whose oldest revisions were pruned
+	 * @param {number} options.batchSize - Number of revisions read per query
+	 * @param {Transaction} options.transaction - Transaction to run the queries in
+	 * @return {Promise} - Resolves with `{valid, checked, errors}`, errors being `{id, modelId, reason}` objects
+	 */
+	verify(options) {
+		const Op = this.sequelize.Sequelize.Op;
+		const opts = Object.assign({batchSize: 1000}, options);
+		const transaction = this.historyTransaction(opts.transaction);
+		const where = typeof opts.modelId === 'undefined' ? {} :
+			{modelId: this.normalizeModelId(opts.modelId)};
+		const result = {valid: true, checked: 0, errors: []};
+		let chain = null;
+		let prevHash = null;
+		let sealedSince = null;
+
+		if (!this.options.integrity) {
+			return Promise.reject(new Error(`${this.modelName} does not record revision hashes.`));
+		}
+
+		const check = revision => {
+			const values = revision.get({plain: true});
+			const key = String(values.modelId);
+			const fail = reason => {
+				result.valid = false;
+				result.errors.push({id: values.id, modelId: values.modelId, reason});
+			};
+
+			if (key !== chain) {
+				chain = key;
+				prevHash = null;
+			}
+
+			// Not sealed, if written before integrity was enabled
+			if (values.hash === null && prevHash === null) {
+				if (sealedSince !== null && values.id >= sealedSince) {
+					result.checked++;
+					fail('unsealed');
+				}
+
+				return;
+			}
+
+			result.checked++;
+
+			if (values.hash !== this.revisionHash(values)) {
+				fail('hash');
+			}
+
+			if (values.prevHash !== prevHash &&
+				!(opts.allowPruned && prevHash === null && values.prevHash !== null)) {
+				fail('link');
+			}
+
+			prevHash = values.hash;
+		};
+
+		const page = offset => this.modelHistory.findAll({
+			where,
+			order: [['modelId', 'ASC'], ['id', 'ASC']],
+			offset,
+			limit: opts.batchSize,
+			transaction
+		}).then(revisions => {
+			revisions.forEach(check);
+			return revisions.length < opts.batchSize ? result : page(offset + opts.batchSize);
+		});
+
+		// Looked up across all chains, so that stripping the hashes of
+		// an instance's revisions doesn't pass them off as older ones
+		const firstSealed = typeof opts.sealedSince === 'undefined' ?
+			this.modelHistory.min('id', {where: {hash: {[Op.ne]: null}}, transaction}) :
+			Promise.resolve(opts.sealedSince);
+
+		return firstSealed.then(id => {
+			sealedSince = typeof id === 'number' && !isNaN(id) ? id : null;
+			return page(0);
+		});
+	}
+
+	/**
+	 * Subquery selecting the final snapshot of each destroyed instance
+	 * @private
+	 * @return {Sequelize.literal}
+	 */
+	finalDestroyLiteral() {
+		const generator = this.modelHistory.sequelize.getQueryInterface().QueryGenerator;
+		const table = generator.quoteTable(this.modelHistory.getTableName());
+		const id = generator.quoteIdentifier('id');
+		const modelId = generator.quoteIdentifier('modelId');
+		const operation = generator.quoteIdentifier('operation');
+
+		return this.modelHistory.sequelize.literal(`(SELECT ${id} FROM ${table} AS ${generator.quoteIdentifier('h')} ` +
+			`WHERE ${operation} IN ('destroy', 'bulkDestroy') AND ${id} = ` +
+			`(SELECT MAX(${id}) FROM ${table} AS ${generator.quoteIdentifier('n')} ` +
+			`WHERE ${generator.quoteIdentifier('n')}.${modelId} = ${generator.quoteIdentifier('h')}.${modelId}))`);
+	}
+
+	/**
+	 * Installs the database triggers archiving changes to the tracked
+	 * table, replacing any installed before. Meant for `mode: 'trigger'`,
+	 * and safe to call from migrations.
+	 * @param {object} options - Query options
+	 * @param {Transaction} options.transaction - Transaction to run the queries in
+	 * @return {Promise}
+	 */
+	installTriggers(options) {
+		return this.runStatements(this.triggerStatements().install, options);
+	}
+
+	/**
+	 * Drops the database triggers installed by `installTriggers`
+	 * @param {object} options - Query options
+	 * @param {Transaction} options.transaction - Transaction to run the queries in
+	 * @return {Promise}
+	 */
+	dropTriggers(options) {
+		return this.runStatements(this.triggerStatements().drop, options);
+	}
+
+	/**
+	 * Runs SQL statements one after the other
+	 * @private
+	 * @param {array} statements - SQL statements
+	 * @param {object} options - Query options
+	 * @return {Promise}
+	 */
+	runStatements(statements, options) {
+		const transaction = options && options.transaction;
+
+		return statements.reduce((chain, sql) =>
+			chain.then(() => this.sequelize.query(sql, {transaction})), Promise.resolve());
+	}
+
+	/**
+	 * Generates the SQL installing and dropping the triggers that archive
+	 * changes to the tracked table, for the dialect in use. Triggers write
+	 * snapshots without author or metadata, as hooks would for a plain query.
+	 * @return {object} - `install` and `drop` arrays of SQL statements
+	 */
+	triggerStatements() {
+		const dialect = this.sequelize.getDialect();
+		const generator = this.sequelize.getQueryInterface().QueryGenerator;
+		const quote = name => generator.quoteIdentifier(name);
+		const table = generator.quoteTable(this.model.getTableName());
+		const historyTable = generator.quoteTable(this.modelHistory.getTableName());
+		const name = event => quote(`${this.modelHistory.tableName}_${event}`);
+		const timestamps = this.modelHistory._timestampAttributes;
+		const events = [['update', 'UPDATE', 'OLD'], ['destroy', 'DELETE', 'OLD']];
+		const keyColumns = this.primaryKeys.map(key => this.model.rawAttributes[key].field);
+		let now = null;
+		let modelId = null;
+
+		if (this.options.trackCreation) {
+			events.push(['create', 'INSERT', 'NEW']);
+		}
+
+		if (dialect === 'sqlite') {
+			// The format Sequelize stores dates in
+			now = 'strftime(\'%Y-%m-%d %H:%M:%f\', \'now\') || \' +00:00\'';
+			modelId = row => `json_array(${keyColumns.map(column => `${row}.${quote(column)}`).join(', ')})`;
+		} else if (dialect === 'postgres') {
+			now = 'now()';
+		} else {
+			throw new Error(`Trigger mode does not support the ${dialect} dialect.`);
+		}
+
+		if (this.primaryKeys.length === 1) {
+			modelId = row => `${row}.${quote(keyColumns[0])}`;
+		} else if (dialect !== 'sqlite') {
+			throw new Error(`Trigger mode does not support composite primary keys on ${dialect}.`);
+		}
+
+		// Source of each history column, much like `insertSelect`
+		const columns = [];
+		const sources = [];
+
+		Object.keys(this.modelHistory.tableAttributes).forEach(field => {
+			const tracked = this.model.rawAttributes[field];
+			let source = null;
+
+			if (field === 'modelId') {
+				source = modelId;
+			} else if (tracked && this.options.redactedAttributes.indexOf(field) > -1) {
+				source = row => this.redactedSql(`${row}.${quote(tracked.field)}`);
+			} else if (tracked && typeof this.fields[field] === 'undefined') {
+				source = row => `${row}.${quote(tracked.field)}`;
+			} else if (field === 'archivedAt' || field === timestamps.createdAt || field === timestamps.updatedAt) {
+				source = () => now;
+			} else if (field === 'operation') {
+				source = (row, operation) => this.sequelize.escape(operation);
+			} else {
+				return;
+			}
+
+			columns.push(quote(this.modelHistory.rawAttributes[field].field));
+			sources.push(source);
+		});
+
+		const insert = (row, operation) => `INSERT INTO ${historyTable} (${columns.join(', ')}) ` +
+			`VALUES (${sources.map(source => source(row, operation)).join(', ')});`;
+
+		if (dialect === 'sqlite') {
+			return {
+				install: events.map(event => `DROP TRIGGER IF EXISTS ${name(event[0])};`).concat(events.map(event =>
+					`CREATE TRIGGER ${name(event[0])} AFTER ${event[1]} ON ${table} FOR EACH ROW ` +
+					`BEGIN ${insert(event[2], event[0])} END;`)),
+				drop: events.map(event => `DROP TRIGGER IF EXISTS ${name(event[0])};`)
+			};
+		}
+
+		const fn = quote(`${this.modelHistory.tableName}_archive`);
+		const branches = events.map(event =>
+			`IF TG_OP = '${event[1]}' THEN ${insert(event[2], event[0])} END IF;`).join(' ');
+
+		return {
+			install: [
+				`CREATE OR REPLACE FUNCTION ${fn}() RETURNS TRIGGER AS $$ BEGIN ${branches} RETURN NULL; END; $$ LANGUAGE plpgsql;`,
+				`DROP TRIGGER IF EXISTS ${name('archive')} ON ${table};`,
+				`CREATE TRIGGER ${name('archive')} AFTER ${events.map(event => event[1]).join(' OR ')} ON ${table} ` +
+					`FOR EACH ROW EXECUTE PROCEDURE ${fn}();`
+			],
+			drop: [
+				`DROP TRIGGER IF EXISTS ${name('archive')} ON ${table};`,
+				`DROP FUNCTION IF EXISTS ${fn}();`
+			]
+		};
+	}
+
+	/**
+	 * Compares the history model against its table in the database, reporting
+	 * columns the table lacks, columns it has no attribute for, and columns
+	 * of another type or nullability. A missing table lacks every column.
+	 * @param {object} options - Check options
+	 * @param {boolean} options.failFast - Reject with a `HistorySchemaError` if the schemas differ
+	 * @return {Promise} - Resolves with `{valid, missing, extra, mismatched}`, the
+	 * mismatched columns being `{column, expected, actual}` objects
+	 */
+	checkSchema(options) {
+		const opts = Object.assign({failFast: false}, options);
+
+		return this.describeHistoryTable().then(columns => {
+			const report = this.compareSchema(columns);
+
+			if (opts.failFast && !report.valid) {
+				throw new HistorySchemaError(this.modelName, report);
+			}
+
+			return report;
+		});
+	}
+
+	/**
+	 * Describes the columns of the history table
+	 * @private
+	 * @return {Promise} - Resolves with the columns keyed by name, none if the table doesn't exist
+	 */
+	describeHistoryTable() {
+		return this.modelHistory.sequelize.getQueryInterface().describeTable(this.modelHistory.getTableName())
+			.catch(err => /No description found/.test(String(err.message || err)) ? {} : Promise.reject(err));
+	}
+
+	/**
+	 * Compares the history model against columns of its table
+	 * @private
+	 * @param {object} columns - Columns as described by `describeTable`
+	 * @return {object} - `{valid, missing, extra, mismatched}`, as resolved by `checkSchema`
+	 */
+	compareSchema(columns) {
+		const attributes = this.modelHistory.rawAttributes;
+		const normalize = type => String(type).toUpperCase().replace(/\s+/g, '');
+		const known = Object.keys(attributes).map(field => attributes[field].field);
+		const report = {
+			valid: true,
+			missing: [],
+			extra: Object.keys(columns).filter(column => known.indexOf(column) === -1),
+			mismatched: []
+		};
+
+		Object.keys(attributes).forEach(field => {
+			const attribute = attributes[field];
+			const column = columns[attribute.field];
+
+			if (!column) {
+				report.missing.push(attribute.field);
+				return;
+			}
+
+			// Enums are reported as their underlying type
+			const typeChanged = attribute.type.key !== 'ENUM' &&
+				normalize(attribute.type.toSql()) !== normalize(column.type);
+			const nullChanged = !attribute.primaryKey &&
+				(attribute.allowNull !== false) !== (column.allowNull !== false);
+
+			if (typeChanged || nullChanged) {
+				report.mismatched.push({
+					column: attribute.field,
+					expected: {type: attribute.type.toSql(), allowNull: attribute.allowNull !== false},
+					actual: {type: column.type, allowNull: column.allowNull !== false}
+				});
+			}
+		});
+
+		report.valid = report.missing.length + report.extra.length + report.mismatched.length === 0;
+
+		return report;
+	}
+
+	/**
+	 * Generates a migration creating the history table, or with the `diff`
+	 * option, adding and changing the columns an existing history table
+	 * lacks since the tracked model gained or changed attributes.
+	 * Columns of attributes since removed are left in place.
+	 * @param {object} options - Generation options
+	 * @param {boolean} options.diff - Compare against the history table in the database
+	 * @return {Promise} - Resolves with the migration's source, or null if the table is up to date
+	 */
+	generateMigration(options) {
+		const opts = Object.assign({diff: false}, options);
+		const table = valueSource(this.modelHistory.getTableName());
+		const attributes = this.modelHistory.rawAttributes;
+
+		const definition = (attribute, indent) => {
+			const lines = [`type: ${typeSource(attribute.type)}`];
+
+			['allowNull', 'primaryKey', 'autoIncrement', 'unique'].forEach(property => {
+				if (typeof attribute[property] === 'boolean') {
+					lines.push(`${property}: ${attribute[property]}`);
+				}
+			});
+
+			if (typeof attribute.defaultValue !== 'undefined' &&
+				this.sequelize.Sequelize.Utils.defaultValueSchemable(attribute.defaultValue)) {
+				lines.push(`defaultValue: ${valueSource(attribute.defaultValue)}`);
+			}
+
+			return `{\n${lines.map(line => `${indent}\t${line}`).join(',\n')}\n${indent}}`;
+		};
+
+		const migration = (up, down) => `'use strict';\n\nmodule.exports = {\n\tup: ${up},\n\tdown: ${down}\n};\n`;
+
+		const describe = opts.diff ? this.describeHistoryTable() : Promise.resolve({});
+
+		return describe.then(columns => {
+			if (Object.keys(columns).length === 0) {
+				const fields = Object.keys(attributes).map(field =>
+					`\t\t${attributes[field].field}: ${definition(attributes[field], '\t\t')}`);
+
+				return migration(`(queryInterface, Sequelize) => queryInterface.createTable(${table}, {\n${fields.join(',\n')}\n\t})`,
+					`queryInterface => queryInterface.dropTable(${table})`);
+			}
+
+			const report = this.compareSchema(columns);
+			const up = [];
+			const down = [];
+
+			Object.keys(attributes).forEach(field => {
+				const attribute = attributes[field];
+				const name = valueSource(attribute.field);
+				const mismatch = report.mismatched.filter(column => column.column === attribute.field)[0];
+
+				if (report.missing.indexOf(attribute.field) !== -1) {
+					up.push(`queryInterface.addColumn(${table}, ${name}, ${definition(attribute, '\t\t')})`);
+					down.push(`queryInterface.removeColumn(${table}, ${name})`);
+				} else if (mismatch) {
+					up.push(`queryInterface.changeColumn(${table}, ${name}, ${definition(attribute, '\t\t')})`);
+					down.push(`queryInterface.changeColumn(${table}, ${name}, ` +
+						`{type: ${valueSource(mismatch.actual.type)}, allowNull: ${mismatch.actual.allowNull}})`);
+				}
+			});
+
+			if (up.length === 0) {
+				return null;
+			}
+
+			const chain = steps => `Promise.resolve()\n${steps.map(step => `\t\t.then(() => ${step})`).join('\n')}`;
+
+			return migration(`(queryInterface, Sequelize) => ${chain(up)}`,
+				`queryInterface => ${chain(down.reverse())}`);
+		});
+	}
+
+	/**
+	 * Hook to trigger recording of revision
+	 * @private
+	 * @param  {Sequelize.Model} doc - instance to track
+	 * @param  {object} options - instance options
+	 * @param  {string} operation - operation being recorded (`create`, `update` or `destroy`)
+	 * @return {Sequelize.Model} - Instance representing the revision
+	 */
+	insertHook(doc, options, operation) {
+		// Creation snapshots hold the values just written, every
+		// other revision holds the values about to be replaced.
+		// Work on a copy so the instance's own values are left intact
+		const dataValues = cloneDeep(operation === 'create' ?
+			doc.dataValues :
+			doc._previousDataValues || doc.dataValues);
+
+		dataValues.modelId = this.modelIdOf(dataValues);
+
+		// Stamped now, as async revisions are only written later
+		dataValues.archivedAt = new Date();
+
+		// Reverts flag their update so it can be told apart
+		dataValues.operation = operation === 'update' && options.historyOperation ?
+			options.historyOperation :
+			operation;
+
+		// Record what changed on updates, and skip the revision
+		// entirely if none of the archived attributes did
+		if (operation === 'update' && this.options.storage !== 'snapshot') {
+			const changes = this.changes(doc);
+
+			if (changes === null) {
+				return null;
+			}
+
+			dataValues.changes = changes;
+
+			if (this.options.storage === 'diff') {
+				this.omitTracked(dataValues);
+			}
+		}
+
+		// Grab the revision author, nulling out the static revision author
+		// property after its first use when called via an instance
+		if (typeof this.options.authorFieldName === 'string') {
+			dataValues[this.options.authorFieldName] = this.revisionAuthor(options);
+
+			if (this.usesStaticAuthor(options)) {
+				this.model._sequelizeHistoryProps._authorId = null;
+			}
+		}
+
+		Object.assign(dataValues, this.metadataValues(options));
+
+		if (this.options.changesets) {
+			dataValues.changesetId = this.changesetId(options);
+		}
+
+		this.redactValues(dataValues);
+		this.omitKey(dataValues);
+		this.omitUnarchived(dataValues);
+
+		return this.storeRevisions('write', dataValues, options,
+			revision => ['revision', doc, revision, dataValues.operation]);
+	}
+
+	/**
+	 * Removes the primary key values that aren't archived as is from a
+	 * revision, leaving the tracking model to number its own rows
+	 * @private
+	 * @param {object} values - Values about to be archived
+	 */
+	omitKey(values) {
+		delete values.id;
+
+		if (this.primaryKeys.length === 1) {
+			delete values[this.primaryKeys[0]];
+		}
+	}
+
+	/**
+	 * Removes the values the history model has no column for, such as those
+	 * of excluded attributes. Stores that keep whole objects would write
+	 * them otherwise.
+	 * @private
+	 * @param {object} values - Values about to be archived
+	 */
+	omitUnarchived(values) {
+		// History models add timestamps of their own, which are given those of the instance
+		const timestamps = ['createdAt', 'updatedAt'];
+
+		Object.keys(values).forEach(field => {
+			if (typeof this.historyAttributes[field] === 'undefined' && timestamps.indexOf(field) === -1) {
+				delete values[field];
+			}
+		});
+	}
+
+	/**
+	 * Replaces the values of redacted attributes with the redaction marker,
+	 * or a keyed hash of the value if a `redactionKey` is set
+	 * @private
+	 * @param {object} values - Values keyed by the tracked model's attributes
+	 * @return {object} - The same values, redacted
+	 */
+	redactValues(values) {
+		this.options.redactedAttributes.forEach(field => {
+			if (values[field] !== null && typeof values[field] !== 'undefined') {
+				values[field] = this.options.redactionKey ?
+					crypto.createHmac('sha256', this.options.redactionKey)
+						.update(JSON.stringify(canonicalValue(values[field])))
+						.digest('hex') :
+					REDACTED;
+			}
+		});
+
+		return values;
+	}
+
+	/**
+	 * Redacts both sides of a change to a redacted attribute
+	 * @private
+	 * @param {object} change - `{field, from, to}` object
+	 * @return {object} - The same change, redacted
+	 */
+	redactChange(change) {
+		if (this.options.redactedAttributes.indexOf(change.field) > -1) {
+			const redact = value => this.redactValues({[change.field]: value})[change.field];
+
+			change.from = redact(change.from);
+			change.to = redact(change.to);
+		}
+
+		return change;
+	}
+
+	/**
+	 * SQL expression redacting a column with the redaction marker
+	 * @private
+	 * @param {string} column - Quoted column reference
+	 * @return {string}
+	 */
+	redactedSql(column) {
+		return `CASE WHEN ${column} IS NULL THEN NULL ELSE ${this.sequelize.escape(REDACTED)} END`;
+	}
+
+	/**
+	 * Removes the tracked model's values from a revision that only
+	 * holds a diff, leaving the fields added by `createSchema`
+	 * @private
+	 * @param {object} values - Values about to be archived
+	 */
+	omitTracked(values) {
+		Object.keys(this.historyAttributes).forEach(field => {
+			if (typeof this.fields[field] === 'undefined') {
+				delete values[field];
+			}
+		});
+	}
 
-		// Create name of tracking model by appending
-		// suffice option to the tracked model name
-		this.modelName = [
-			this.model.name,
-			this.options.modelSuffix
-		].join('');
+	/**
+	 * Lists the archived attributes an instance is about to change
+	 * @private
+	 * @param {Sequelize.Model} doc - Instance being saved
+	 * @return {array|null} - `{field, from, to}` objects, or null if no archived attribute changed
+	 */
+	changes(doc) {
+		const updatedAt = this.model._timestampAttributes.updatedAt;
+		const fields = (doc.changed() || []).filter(field =>
+			this.primaryKeys.indexOf(field) === -1 &&
+			this.historyAttributes[field] &&
+			typeof this.fields[field] === 'undefined');
 
-		// Create the tracking model's schema
-		this.fields = this.createSchema(
-			sequelize.Sequelize);
+		// The update timestamp changes on every save and
+		// isn't worth a revision on its own
+		if (fields.filter(field => field !== updatedAt).length === 0) {
+			return null;
+		}
 
-		// Register the tracking model with Sequelize
-		sequelize.define(
-			this.modelName,
-			this.setAttributes(),
-			{});
+		return fields.map(field => this.redactChange({
+			field,
+			from: doc.previous(field),
+			to: doc.get(field, {raw: true})
+		}));
+	}
 
-		// Store reference to the newly created tracking model
-		this.modelHistory = sequelize.models[this.modelName];
+	/**
+	 * Lists the archived attributes a bulk update is about to change on a row
+	 * @private
+	 * @param {Sequelize.Model} hit - Instance matched by the bulk update
+	 * @param {object} attributes - Values set by the bulk update
+	 * @return {array|null|undefined} - `{field, from, to}` objects, null if no archived
+	 * attribute changes, or undefined if the new values are computed by the database
+	 */
+	bulkChanges(hit, attributes) {
+		const updatedAt = this.model._timestampAttributes.updatedAt;
+		const fields = Object.keys(attributes).filter(field =>
+			this.primaryKeys.indexOf(field) === -1 &&
+			this.historyAttributes[field] &&
+			typeof this.fields[field] === 'undefined');
 
-		// Add static author tracking method to original model if enabled
-		if (typeof this.options.authorFieldName === 'string') {
-			this.addModelAuthorSetter(sequelize);
+		if (fields.some(field => attributes[field] instanceof this.sequelize.Sequelize.Utils.SequelizeMethod)) {
+			return undefined;
+		}
 
-			// Add relationship with the original model to ensure
-			// table constraints are not applied if added manually
-			this.model.hasMany(this.modelHistory, {
-				foreignKey: 'modelId',
-				contraints: false,
-				as: 'revisions'
-			});
+		const changed = fields.filter(field => !sameValue(hit.get(field, {raw: true}), attributes[field]));
 
-			this.modelHistory.belongsTo(this.model, {
-				foreignKey: 'modelId',
-				contraints: false,
-				as: 'model'
-			});
+		if (changed.filter(field => field !== updatedAt).length === 0) {
+			return null;
 		}
 
-		// Setup the necessary hooks for revision tracking
-		this.hookup();
+		return changed.map(field => this.redactChange({
+			field,
+			from: hit.get(field, {raw: true}),
+			to: attributes[field]
+		}));
 	}
 
 	/**
-	 * Adds a static `setRevisingAuthor` method to the tracked model if author tracking is enabled.
-	 * @private
-	 * @param {Sequelize} sequelize - The passed Sequelize instance
+	 * Hook to trigger recording of multiple revision
+	 * @param  {object} options - options
+	 * @param  {string} operation - operation being recorded (`bulkUpdate` or `bulkDestroy`)
+	 * @return {Promise} = resolves
 	 */
-	addModelAuthorSetter(sequelize) {
-		const modelName = this.model.name;
+	insertBulkHook(options, operation) {
+		if (!options.individualHooks) {
+			// Grab the revision author and metadata once for every row...
+			const values = Object.assign({operation, archivedAt: new Date()}, this.metadataValues(options));
 
-		sequelize.models[modelName].setRevisingAuthor = function (value) {
-			sequelize.models[modelName]._sequelizeHistoryProps = {
-				_authorId: value
-			};
-		};
+			if (this.options.changesets) {
+				values.changesetId = this.changesetId(options);
+			}
+
+			if (typeof this.options.authorFieldName === 'string') {
+				values[this.options.authorFieldName] = this.revisionAuthor(options);
+
+				// ...and null out the static one
+				if (this.usesStaticAuthor(options)) {
+					this.model._sequelizeHistoryProps._authorId = null;
+				}
+			}
+
+			switch (this.bulkStrategy(operation)) {
+				case 'insertSelect':
+					return this.insertSelect(options, values);
+				case 'chunked':
+					return this.insertChunks(options, values);
+				default:
+					return this.model.findAll({
+						where: options.where,
+						transaction: options.transaction
+					}).then(hits => this.insertRevisions(hits, options, values));
+			}
+		}
 	}
 
 	/**
-	 * Sets attributes of history model by parsing out target model attributes
+	 * Resolves the bulk strategy in use. Revision hashes, composite `modelId`
+	 * values, keyed hashes of redacted values and the rows a bulk update
+	 * changes are worked out row by row, so `insertSelect` falls back to
+	 * `chunked` when any is needed, as it does when revisions are stored
+	 * on another connection or buffered in async mode.
 	 * @private
-	 * @return {object}
+	 * @param {string} operation - Operation being recorded (`bulkUpdate` or `bulkDestroy`)
+	 * @return {string} - `query`, `chunked` or `insertSelect`
 	 */
-	setAttributes() {
-		const cloned = cloneDeep(this.model.rawAttributes);
+	bulkStrategy(operation) {
+		if (this.options.bulkStrategy === 'insertSelect' &&
+			(this.options.integrity || this.primaryKeys.length > 1 || !this.sharesConnection || this.options.async ||
+				(this.options.redactionKey && this.options.redactedAttributes.length > 0) ||
+				(operation === 'bulkUpdate' && this.options.bulkChangedOnly))) {
+			return 'chunked';
+		}
 
-		const attributes = [];
+		return this.options.bulkStrategy;
+	}
 
-		Object.keys(cloned).forEach(field => {
-			const f = cloned[field];
+	/**
+	 * Archives tracked instances about to be changed by a bulk operation
+	 * @private
+	 * @param {array} hits - Tracked model instances
+	 * @param {object} options - Query options of the bulk operation
+	 * @param {object} values - Values shared by every revision
+	 * @return {Promise}
+	 */
+	insertRevisions(hits, options, values) {
+		const compare = values.operation === 'bulkUpdate' && this.options.bulkChangedOnly;
+		const archived = [];
+		const docs = [];
 
-			// If attribute should be excluded, skip...
-			if (this.options.excludedAttributes.indexOf(f.fieldName) > -1) {
-				return;
-			}
+		hits.forEach(hit => {
+			const changes = compare ? this.bulkChanges(hit, options.attributes || {}) : undefined;
 
-			// Skip the id attribute...
-			if (f.fieldName === 'id') {
+			// Skip the rows the update leaves as they are
+			if (changes === null) {
 				return;
 			}
 
-			// Remove any attribute properties that should be excluded...
-			this.options.excludedAttributeProperties.forEach(prop => {
-				if (typeof f[prop] !== 'undefined') {
-					delete f[prop];
+			const dataSet = this.redactValues(Object.assign(cloneDeep(hit.dataValues), values));
+
+			dataSet.modelId = this.modelIdOf(hit.dataValues);
+
+			if (changes && this.options.storage !== 'snapshot') {
+				dataSet.changes = changes;
+
+				if (this.options.storage === 'diff') {
+					this.omitTracked(dataSet);
 				}
-			});
+			}
 
-			// Remove the default behavior of auto-updating the timestamps...
-			if (f.fieldName === 'createdAt' ||
-				f.fieldName === 'updatedAt') {
-				delete f.defaultValue;
+			this.omitKey(dataSet);
+			this.omitUnarchived(dataSet);
+			archived.push(hit);
+			docs.push(dataSet);
+		});
+
+		return this.storeRevisions('writeMany', docs, options,
+			revisions => ['bulkRevision', archived, revisions, values.operation]);
+	}
+
+	/**
+	 * Archives the instances matched by a bulk operation a batch at a time,
+	 * paging through them by primary key
+	 * @private
+	 * @param {object} options - Query options of the bulk operation
+	 * @param {object} values - Values shared by every revision
+	 * @return {Promise}
+	 */
+	insertChunks(options, values) {
+		const Op = this.sequelize.Sequelize.Op;
+		const key = this.primaryKeys[0];
+		const limit = this.options.bulkBatchSize;
+
+		// Single keys page by the last key seen, composite ones by offset
+		const page = (last, offset) => this.model.findAll({
+			where: this.primaryKeys.length > 1 || offset === 0 ? options.where : {
+				[Op.and]: [options.where || {}, {[key]: {[Op.gt]: last}}]
+			},
+			order: this.primaryKeys.map(field => [field, 'ASC']),
+			offset: this.primaryKeys.length > 1 ? offset : 0,
+			limit,
+			transaction: options.transaction
+		}).then(hits => this.insertRevisions(hits, options, values).then(() => {
+			if (hits.length < limit) {
+				return null;
 			}
 
-			// Allow all fields to be NULL...
-			f.allowNull = true;
+			return page(hits[hits.length - 1].get(key, {raw: true}), offset + limit);
+		}));
 
-			// And store the modified attribute
-			attributes[field] = f;
+		return page(null, 0);
+	}
+
+	/**
+	 * Archives the instances matched by a bulk operation with a single
+	 * `INSERT ... SELECT` query, without reading them first
+	 * @private
+	 * @param {object} options - Query options of the bulk operation
+	 * @param {object} values - Values shared by every revision
+	 * @return {Promise}
+	 */
+	insertSelect(options, values) {
+		const generator = this.sequelize.getQueryInterface().QueryGenerator;
+		const timestamps = this.modelHistory._timestampAttributes;
+		const now = new Date();
+		const constants = Object.assign({archivedAt: now}, values);
+		const columns = [];
+		const attributes = [];
+
+		const constant = value => this.sequelize.literal(this.sequelize.escape(
+			value !== null && typeof value === 'object' && !(value instanceof Date) ?
+				JSON.stringify(value) :
+				value));
+
+		Object.keys(this.modelHistory.tableAttributes).forEach(field => {
+			const tracked = this.model.rawAttributes[field];
+			let source = null;
+
+			if (field === 'modelId') {
+				source = this.model.rawAttributes[this.primaryKeys[0]].field;
+			} else if (tracked && this.options.redactedAttributes.indexOf(field) > -1) {
+				source = this.sequelize.literal(this.redactedSql(generator.quoteIdentifier(tracked.field)));
+			} else if (tracked && typeof this.fields[field] === 'undefined') {
+				source = tracked.field;
+			} else if (typeof constants[field] !== 'undefined') {
+				source = constant(constants[field]);
+			} else if (field === timestamps.createdAt || field === timestamps.updatedAt) {
+				source = constant(now);
+			} else {
+				return;
+			}
+
+			columns.push(generator.quoteIdentifier(this.modelHistory.rawAttributes[field].field));
+			attributes.push([source, field]);
 		});
 
-		return merge({}, this.fields, attributes);
+		// Match the rows Model.findAll would, soft-deleted ones excluded
+		const query = this.model._paranoidClause(this.model, {
+			where: options.where || {}
+		});
+
+		this.sequelize.Sequelize.Utils.mapOptionFieldNames(query, this.model);
+		query.attributes = attributes;
+
+		const select = generator.selectQuery(this.model.getTableName(), query, this.model);
+
+		const table = generator.quoteTable(this.modelHistory.getTableName());
+		const sql = `INSERT INTO ${table} (${columns.join(', ')}) ${select.replace(/;\s*$/, '')};`;
+
+		return this.sequelize.query(sql, {
+			transaction: options.transaction
+		}).then(result => {
+			// The rows are copied within the database, so there are none to pass
+			this.emitAfterCommit(options, 'bulkRevision', null, null, values.operation);
+
+			return result;
+		});
 	}
 
 	/**
-	 * Creates fields to be added in addition to the tracked model's fields
+	 * Hands revisions to the store and emits the event announcing them.
+	 * Stores on another connection can't join the query's transaction,
+	 * so they are only handed the revisions once it commits.
 	 * @private
-	 * @return {object} - Model instance field options
+	 * @param {string} method - `write` or `writeMany`
+	 * @param {object|array} values - Values of the revision, or of each revision
+	 * @param {object} options - Query options
+	 * @param {function} event - Maps the written revisions to the event name and arguments
+	 * @return {Promise} - Resolves with the written revisions, or null until the transaction commits
 	 */
-	createSchema(sequelize) {
-		const schema = {
-			id: {
-				type: sequelize.INTEGER,
-				autoIncrement: true,
-				primaryKey: true,
-				unique: true
-			},
-			modelId: {
-				type: sequelize.INTEGER,
-				allowNull: true
-			},
-			archivedAt: {
-				type: sequelize.DATE,
-				defaultValue: sequelize.NOW,
-				allowNull: false
+	storeRevisions(method, values, options, event) {
+		if (this.options.async) {
+			return this.enqueueRevisions([].concat(values), options, event, method === 'write');
+		}
+
+		// Silent keeps the archived update timestamp
+		// from being replaced with the time of archiving
+		const write = () => this.extendChains([].concat(values), () => this.store[method](this, values, {
+			transaction: this.historyTransaction(options.transaction),
+			silent: true
+		}));
+
+		if (this.sharesConnection || !options.transaction) {
+			return write().then(revisions => {
+				this.emitAfterCommit(options, ...event(revisions));
+
+				return revisions;
+			});
+		}
+
+		// The change is committed by then, so a failed write must not
+		// make it look as if the transaction failed
+		rootTransaction(options.transaction).afterCommit(() => write()
+			.then(revisions => this.emit(...event(revisions)))
+			.catch(err => this.reportError(err)));
+
+		return Promise.resolve(null);
+	}
+
+	/**
+	 * Buffers revisions in async mode, once the transaction of the query
+	 * commits. With an outbox, they are written to it in that transaction
+	 * instead, so they survive a crash.
+	 * @private
+	 * @param {array} rows - Values of each revision
+	 * @param {object} options - Query options
+	 * @param {function} event - Maps the written revisions to the event name and arguments
+	 * @param {boolean} single - Whether the event announces a single revision
+	 * @return {Promise} - Resolves with null
+	 */
+	enqueueRevisions(rows, options, event, single) {
+		const transaction = options.transaction;
+		const afterCommit = fn => transaction ? rootTransaction(transaction).afterCommit(fn) : fn();
+
+		const enqueued = pending => {
+			if (pending >= this.options.asyncBatchSize) {
+				this.flushInBackground();
+			} else {
+				this.scheduleFlush();
 			}
 		};
 
-		// Add our author tracking field if set
-		if (typeof this.options.authorFieldName === 'string') {
-			schema[this.options.authorFieldName] = {
-				type: sequelize.INTEGER,
-				allowNull: true
-			};
+		// The outbox only counts the revisions this process wrote to it
+		if (this.options.outbox) {
+			return this.modelOutbox.bulkCreate(rows.map(payload => ({payload})), {transaction})
+				.then(() => {
+					afterCommit(() => {
+						this.outboxPending += rows.length;
+						enqueued(this.outboxPending);
+					});
+
+					return null;
+				});
 		}
 
-		return schema;
+		afterCommit(() => {
+			this.buffer.push({rows, event, single});
+			enqueued(this.buffer.reduce((count, entry) => count + entry.rows.length, 0));
+		});
+
+		return Promise.resolve(null);
 	}
 
 	/**
-	 * Attaches hooks to target model and history model
+	 * Flushes the buffer once `asyncInterval` has elapsed, unless a flush is already due
 	 * @private
 	 * @return {null}
 	 */
-	hookup() {
-		this.model.addHook('beforeUpdate', this.insertHook.bind(this));
-		this.model.addHook('beforeDestroy', this.insertHook.bind(this));
-		this.model.addHook('beforeBulkUpdate', this.insertBulkHook.bind(this));
-		this.model.addHook('beforeBulkDestroy', this.insertBulkHook.bind(this));
-		this.modelHistory.addHook('beforeUpdate', this.readOnlyHook.bind(this));
-		this.modelHistory.addHook('beforeDestroy', this.readOnlyHook.bind(this));
+	scheduleFlush() {
+		if (this.flushTimer !== null || typeof this.options.asyncInterval !== 'number') {
+			return;
+		}
+
+		this.flushTimer = setTimeout(() => this.flushInBackground(), this.options.asyncInterval);
+
+		// Pending revisions don't keep the process alive - see `flush`
+		if (typeof this.flushTimer.unref === 'function') {
+			this.flushTimer.unref();
+		}
 	}
 
 	/**
-	 * Enforces read-only nature of history model instances
+	 * Flushes the buffer without waiting, reporting failures with
+	 * `reportError`. Revisions that failed to be written stay buffered.
 	 * @private
 	 * @return {null}
 	 */
-	readOnlyHook() {
-		throw new Error('This is a read-only history database. You cannot modify it.');
+	flushInBackground() {
+		this.flush().catch(err => this.reportError(err));
 	}
 
 	/**
-	 * Hook to trigger recording of revision
+	 * Reports the failure of a write nobody waits for to `error` listeners,
+	 * or as a process warning without any
 	 * @private
-	 * @param  {Sequelize.Model} doc - instance to track
-	 * @param  {object} options - instance options
-	 * @return {Sequelize.Model} - Instance representing the revision
+	 * @param {Error} err - Failure to report
+	 * @return {null}
 	 */
-	insertHook(doc, options) {
-		const dataValues = doc._previousDataValues || doc.dataValues;
+	reportError(err) {
+		if (this.listenerCount('error') > 0) {
+			this.emit('error', err);
+		} else {
+			process.emitWarning(err);
+		}
+	}
 
-		dataValues.modelId = dataValues.id;
+	/**
+	 * Writes the revisions buffered in async mode, and those left in the
+	 * outbox, to the store. Call it before shutting down, and in tests
+	 * before reading revisions back.
+	 * @return {Promise} - Resolves once every pending revision is written
+	 */
+	flush() {
+		this.flushing = this.flushing
+			.catch(() => null)
+			.then(() => this.options.outbox ? this.drainOutbox() : this.drainBuffer());
 
-		// Grab the static revision author property from the tracked class
-		// and null it out after its first use when called via an instance
-		if (typeof this.options.authorFieldName === 'string' &&
-			typeof this.model._sequelizeHistoryProps !== 'undefined') {
-			dataValues[this.options.authorFieldName] = this.model._sequelizeHistoryProps._authorId;
-			this.model._sequelizeHistoryProps._authorId = null;
+		return this.flushing;
+	}
+
+	/**
+	 * Writes the buffered revisions in batches, putting back those of a
+	 * batch that fails
+	 * @private
+	 * @return {Promise}
+	 */
+	drainBuffer() {
+		clearTimeout(this.flushTimer);
+		this.flushTimer = null;
+
+		const batch = [];
+		let count = 0;
+
+		while (this.buffer.length > 0 && (count === 0 || count + this.buffer[0].rows.length <= this.options.asyncBatchSize)) {
+			count += this.buffer[0].rows.length;
+			batch.push(this.buffer.shift());
+		}
+
+		if (batch.length === 0) {
+			return Promise.resolve();
 		}
 
-		delete dataValues.id;
+		const rows = [].concat(...batch.map(entry => entry.rows));
 
-		const historyRecord = this.modelHistory.create(dataValues, {
-			transaction: options.transaction
+		return this.extendChains(rows, () => this.store.writeMany(this, rows, {silent: true})).then(revisions => {
+			let offset = 0;
+
+			batch.forEach(entry => {
+				const written = revisions.slice(offset, offset + entry.rows.length);
+
+				offset += entry.rows.length;
+				this.emit(...entry.event(entry.single ? written[0] : written));
+			});
+
+			return this.drainBuffer();
+		}, err => {
+			this.buffer.unshift(...batch);
+			throw err;
+		});
+	}
+
+	/**
+	 * Reads back the values of a revision from its outbox payload, in
+	 * which dates were serialized to strings
+	 * @private
+	 * @param {object} payload - Outbox payload
+	 * @return {object} - Values of the revision
+	 */
+	outboxValues(payload) {
+		const values = Object.assign({}, payload);
+		const attributes = Object.assign({}, this.model.rawAttributes, this.fields);
+
+		Object.keys(values).forEach(field => {
+			const type = attributes[field] && attributes[field].type;
+
+			if (type && type.key === 'DATE' && typeof values[field] === 'string') {
+				values[field] = new Date(values[field]);
+			}
 		});
 
-		return historyRecord;
+		return values;
 	}
 
 	/**
-	 * Hook to trigger recording of multiple revision
-	 * @param  {object} options - options
-	 * @return {Promise} = resolves
+	 * Moves the revisions of the outbox to the store in batches, oldest
+	 * first, including those left by a previous process
+	 * @private
+	 * @return {Promise}
 	 */
-	insertBulkHook(options) {
-		if (!options.individualHooks) {
-			const queryAll = this.model.findAll({
-				where: options.where,
-				transaction: options.transaction
-			}).then(hits => {
-				if (hits !== null) {
-					const docs = hits.map(hit => {
-						const dataSet = cloneDeep(hit.dataValues);
-
-						// Grab the static revision author property from the tracked class
-						if (typeof this.options.authorFieldName === 'string' &&
-							typeof this.model._sequelizeHistoryProps !== 'undefined') {
-							dataSet[this.options.authorFieldName] = this.model._sequelizeHistoryProps._authorId;
-						}
+	drainOutbox() {
+		clearTimeout(this.flushTimer);
+		this.flushTimer = null;
+		this.outboxPending = 0;
 
-						dataSet.modelId = hit.id;
-						delete dataSet.id;
-						return dataSet;
-					});
+		return this.modelOutbox.findAll({
+			order: [['id', 'ASC']],
+			limit: this.options.asyncBatchSize
+		}).then(entries => {
+			if (entries.length === 0) {
+				return null;
+			}
 
-					// ...and null it out after all bulk updates are complete
-					if (typeof this.options.authorFieldName === 'string' &&
-						typeof this.model._sequelizeHistoryProps !== 'undefined') {
-						this.model._sequelizeHistoryProps._authorId = null;
-					}
+			const rows = entries.map(entry => this.outboxValues(entry.payload));
 
-					return this.modelHistory.bulkCreate(docs, {
-						transaction: options.transaction
+			// Revisions may come from another process, so events carry no instances
+			return this.extendChains(rows, () => this.store.writeMany(this, rows, {silent: true}))
+				.then(revisions => {
+					this.emit('bulkRevision', null, revisions, null);
+
+					return this.modelOutbox.destroy({
+						where: {id: entries.map(entry => entry.id)}
 					});
-				}
-			});
+				})
+				.then(() => this.drainOutbox());
+		});
+	}
 
-			return queryAll;
+	/**
+	 * Emits an event once the transaction of the query that wrote the
+	 * revisions commits, or right away outside of a transaction
+	 * @private
+	 * @param {object} options - Query options
+	 * @param {string} event - `revision` or `bulkRevision`
+	 * @param {...*} args - Event arguments
+	 * @return {null}
+	 */
+	emitAfterCommit(options, event, ...args) {
+		if (!options.transaction) {
+			this.emit(event, ...args);
+			return;
 		}
+
+		// Savepoints commit before the transaction holding them does
+		rootTransaction(options.transaction).afterCommit(() => {
+			this.emit(event, ...args);
+		});
 	}
 }
 
@@ -270,12 +3530,90 @@ SequelizeHistory.DEFAULTS = {
 	// author of the revisions to the model, or null if you
 	// don't want to track revision authors
 	authorFieldName: null,
+	// Sequelize data type of the author field, or null to use
+	// the author model's primary key type (`INTEGER` without one)
+	authorFieldType: null,
+	// Model, or name of the model, holding the revision authors -
+	// revisions get an `author` association to it, or null to disable
+	authorModel: null,
 	// String to append to tracked model's name in creating
 	// name of model's history model
 	modelSuffix: 'History',
 	// Array of attributes to be ignored and excluded when
 	// recording a change to the target model
 	excludedAttributes: [],
+	// Array of the only attributes to record changes to,
+	// or null to record all but the excluded ones
+	includedAttributes: null,
+	// Array of attributes whose changes are recorded without
+	// storing their values, which are replaced with a marker
+	redactedAttributes: [],
+	// String (or Buffer) keying a hash of redacted values stored
+	// instead of the marker, so their changes can be told apart,
+	// or null to store the marker
+	redactionKey: null,
+	// Boolean to also record a snapshot of each instance right
+	// after it is created, making its history a complete lifecycle
+	trackCreation: false,
+	// String to indicate how updates are archived: `snapshot` stores
+	// the full replaced state, `diff` only the changed fields in the
+	// `changes` column, and `both` stores the two
+	storage: 'snapshot',
+	// Object mapping the names of extra columns holding revision
+	// metadata (passed through `historyMeta`) to their data type
+	// or attribute definition, or null for no metadata columns
+	metadataFields: null,
+	// String to indicate a JSON field name to store the whole
+	// revision metadata in, or null to disable
+	metaFieldName: null,
+	// Object describing which revisions `prune` deletes:
+	// `maxRevisions` to keep per instance, `maxAge` in ms,
+	// `keepDestroyed` to keep the final snapshot of destroyed
+	// instances forever and `batchSize` of each delete query,
+	// or null for no retention policy
+	retention: null,
+	// Boolean to store a hash of each revision chained to the
+	// previous revision's hash, so that `verify` can detect
+	// revisions altered or deleted outside of this module
+	integrity: false,
+	// String to indicate how bulk updates and destroys are archived:
+	// `query` reads every matched row before archiving them at once,
+	// `chunked` does so `bulkBatchSize` rows at a time and
+	// `insertSelect` copies them with a single query
+	bulkStrategy: 'query',
+	// Number of rows archived per batch by the `chunked` strategy
+	bulkBatchSize: 1000,
+	// Boolean to only archive the rows a bulk update actually changes,
+	// with diffs limited to the fields it sets
+	bulkChangedOnly: false,
+	// String to indicate whether changes are archived by Sequelize
+	// `hooks`, or by database triggers installed with `installTriggers`
+	// in `trigger` mode
+	mode: 'hooks',
+	// Boolean to record the links added to and removed from every
+	// `belongsToMany` and `hasMany` association of the model, or an
+	// array of the aliases of the only associations to record
+	trackAssociations: false,
+	// Boolean to record the changeset each revision was written in
+	// (`changesetId`), shared by all revisions of a transaction, so
+	// `getChangeset` and `revertChangeset` can work on them at once
+	changesets: false,
+	// Store adapter keeping the revisions (see `SequelizeStore` and
+	// `JsonlStore`), or null for a history model on the tracked
+	// model's connection
+	store: null,
+	// Boolean to buffer revisions in-process and write them in batches
+	// once `asyncBatchSize` are pending, `asyncInterval` ms after
+	// the first, or when `flush` is called
+	async: false,
+	// Number of revisions written per batch in async mode
+	asyncBatchSize: 100,
+	// Milliseconds revisions wait in the buffer at most, or null
+	// to only write them once a batch is full or on `flush`
+	asyncInterval: 1000,
+	// Boolean to write async revisions to an outbox table in the
+	// transaction of their change, so none is lost on a crash
+	outbox: false,
 	// Array of attribute properties to ignore when duplicating
 	// the target model's attributes - this is mostly to prevent
 	// the use of constraints that may be in place on the target
@@ -308,8 +3646,30 @@ SequelizeHistory.DEFAULTS = {
  * @param {object} sequelize - Sequelize object (enforces installation above this module)
  * @param {object} options - Object instantiation options
  * @param {string} options.authorFieldName - String to indicate a field name to store author of the revisions, or null to disable
+ * @param {object} options.authorFieldType - Sequelize data type of the author field, defaulting to the author model's primary key type or `INTEGER`
+ * @param {Sequelize.Model|string} options.authorModel - Model (or name of the model) holding the revision authors, or null to disable
  * @param {string} options.modelSuffix - String to append to tracked model's name when creating name of tracking model
  * @param {array} options.excludedAttributes - Array of attributes to be ignored and excluded when recording a change to the target model
+ * @param {array} options.includedAttributes - Array of the only attributes to record changes to, or null to record all of them
+ * @param {array} options.redactedAttributes - Array of attributes whose values are replaced with a marker, or a keyed hash, in revisions
+ * @param {string} options.redactionKey - Secret to hash redacted values with, or null to replace them with a marker
+ * @param {boolean} options.trackCreation - Boolean to also record a snapshot of each instance right after it is created
+ * @param {string} options.storage - String to indicate how updates are archived: `snapshot`, `diff` or `both`
+ * @param {object} options.metadataFields - Object mapping metadata column names to their data type or attribute definition, or null to disable
+ * @param {string} options.metaFieldName - String to indicate a JSON field name to store all revision metadata, or null to disable
+ * @param {object} options.retention - Object describing which revisions `prune` deletes (`maxRevisions`, `maxAge`, `keepDestroyed`, `batchSize`), or null to disable
+ * @param {boolean} options.integrity - Boolean to chain revisions together with hashes that `verify` can check
+ * @param {string} options.bulkStrategy - String to indicate how bulk operations are archived: `query`, `chunked` or `insertSelect`
+ * @param {number} options.bulkBatchSize - Number of rows archived per batch by the `chunked` bulk strategy
+ * @param {boolean} options.bulkChangedOnly - Boolean to only archive the rows a bulk update changes, and only its fields in diffs
+ * @param {string} options.mode - String to indicate whether changes are archived by `hooks` or by database `trigger`s
+ * @param {boolean|array} options.trackAssociations - Boolean, or array of association aliases, to record links added to and removed from `belongsToMany` and `hasMany` associations
+ * @param {boolean} options.changesets - Boolean to record the changeset (`changesetId`) each revision was written in, grouping the revisions of a transaction
+ * @param {object} options.store - Store adapter keeping the revisions (`define`, `write`, `writeMany`, `query`), or null for a history model on the tracked model's connection
+ * @param {boolean} options.async - Boolean to buffer revisions in-process and write them in batches, see `flush`
+ * @param {number} options.asyncBatchSize - Number of revisions written per batch in async mode
+ * @param {number} options.asyncInterval - Milliseconds revisions wait in the buffer at most, or null to wait for a full batch
+ * @param {boolean} options.outbox - Boolean to write async revisions to an outbox table in the transaction of their change
  * @param {array} options.excludedAttributeProperties - Array of attribute properties to ignore when duplicating the target model's attributes
  * @return {object} - returns the tracked model and generated tracking model
  */
@@ -329,28 +3689,129 @@ module.exports = (model, sequelize, options) => {
  * @description
  * Convenience factory method to track changes for all models found
  * within the passed sequelize instance. All constructor options
- * are passed transparently upon instantiation.
+ * are passed transparently upon instantiation, with `perModel` ones
+ * merged over them. History models, models already tracked and models
+ * without a primary key are skipped. Listeners added with the result's
+ * `on`, `once` and `off` methods are added to every instance, and its
+ * `flush` method flushes them all.
  *
  * @param {object} sequelize - Sequelize object (enforces installation above this module)
  * @param {object} options - Object instantiation options
+ * @param {string|RegExp|array} options.include - Only track models whose name matches these globs or regular expressions
+ * @param {string|RegExp|array} options.exclude - Skip models whose name matches these globs or regular expressions
+ * @param {object} options.perModel - Object mapping model names to options overriding the others for that model
+ * @param {boolean} options.skipThroughModels - Boolean to skip the through models of `belongsToMany` associations
  * @param {string} options.authorFieldName - String to indicate a field name to store author of the revisions, or null to disable
+ * @param {object} options.authorFieldType - Sequelize data type of the author field, defaulting to the author model's primary key type or `INTEGER`
+ * @param {Sequelize.Model|string} options.authorModel - Model (or name of the model) holding the revision authors, or null to disable
  * @param {string} options.modelSuffix - String to append to tracked model's name when creating name of tracking model
  * @param {array} options.excludedAttributes - Array of attributes to be ignored and excluded when recording a change to the target model
+ * @param {array} options.includedAttributes - Array of the only attributes to record changes to, or null to record all of them
+ * @param {array} options.redactedAttributes - Array of attributes whose values are replaced with a marker, or a keyed hash, in revisions
+ * @param {string} options.redactionKey - Secret to hash redacted values with, or null to replace them with a marker
+ * @param {boolean} options.trackCreation - Boolean to also record a snapshot of each instance right after it is created
+ * @param {string} options.storage - String to indicate how updates are archived: `snapshot`, `diff` or `both`
+ * @param {object} options.metadataFields - Object mapping metadata column names to their data type or attribute definition, or null to disable
+ * @param {string} options.metaFieldName - String to indicate a JSON field name to store all revision metadata, or null to disable
+ * @param {object} options.retention - Object describing which revisions `prune` deletes (`maxRevisions`, `maxAge`, `keepDestroyed`, `batchSize`), or null to disable
+ * @param {boolean} options.integrity - Boolean to chain revisions together with hashes that `verify` can check
+ * @param {string} options.bulkStrategy - String to indicate how bulk operations are archived: `query`, `chunked` or `insertSelect`
+ * @param {number} options.bulkBatchSize - Number of rows archived per batch by the `chunked` bulk strategy
+ * @param {boolean} options.bulkChangedOnly - Boolean to only archive the rows a bulk update changes, and only its fields in diffs
+ * @param {string} options.mode - String to indicate whether changes are archived by `hooks` or by database `trigger`s
+ * @param {boolean|array} options.trackAssociations - Boolean, or array of association aliases, to record links added to and removed from `belongsToMany` and `hasMany` associations
+ * @param {boolean} options.changesets - Boolean to record the changeset (`changesetId`) each revision was written in, grouping the revisions of a transaction
+ * @param {object} options.store - Store adapter keeping the revisions (`define`, `write`, `writeMany`, `query`), or null for a history model on the tracked model's connection
+ * @param {boolean} options.async - Boolean to buffer revisions in-process and write them in batches, see `flush`
+ * @param {number} options.asyncBatchSize - Number of revisions written per batch in async mode
+ * @param {number} options.asyncInterval - Milliseconds revisions wait in the buffer at most, or null to wait for a full batch
+ * @param {boolean} options.outbox - Boolean to write async revisions to an outbox table in the transaction of their change
  * @param {array} options.excludedAttributeProperties - Array of attribute properties to ignore when duplicating the target model's attributes
  * @return {null}
  */
 module.exports.all = (sequelize, options) => {
+	const opts = Object.assign({
+		include: null,
+		exclude: null,
+		perModel: {},
+		skipThroughModels: false
+	}, options);
+	const models = Object.keys(sequelize.models).map(key => sequelize.models[key]);
 	const instances = {};
-	const names = Object.keys(sequelize.models);
+	const skipped = [];
+
+	// History models and the models they track are left alone
+	models.forEach(model => {
+		if (model._sequelizeHistory) {
+			skipped.push(model, model._sequelizeHistory.model);
+		}
+	});
+
+	if (opts.skipThroughModels) {
+		models.forEach(model => {
+			Object.keys(model.associations).forEach(key => {
+				const association = model.associations[key];
+
+				if (association.associationType === 'BelongsToMany') {
+					skipped.push(association.through.model);
+				}
+			});
+		});
+	}
+
+	const base = Object.assign({}, opts);
+
+	['include', 'exclude', 'perModel', 'skipThroughModels'].forEach(key => {
+		delete base[key];
+	});
 
-	names.forEach(key => {
-		const instance = new SequelizeHistory(
-			sequelize.models[key], sequelize, options);
+	// Models without a primary key can't be tracked
+	models
+		.filter(model => skipped.indexOf(model) === -1 &&
+			model.primaryKeyAttributes.length > 0 &&
+			(opts.include === null || matchesName(model.name, opts.include)) &&
+			(opts.exclude === null || !matchesName(model.name, opts.exclude)))
+		.forEach(model => {
+			const instance = new SequelizeHistory(
+				model, sequelize, Object.assign({}, base, opts.perModel[model.name]));
 
-		instances[instance.modelName] = instance;
+			instances[instance.modelName] = instance;
+		});
+
+	// Listeners added to the result are added to every instance
+	['on', 'once', 'off'].forEach(method => {
+		Object.defineProperty(instances, method, {
+			value(event, listener) {
+				Object.keys(instances).forEach(name => instances[name][method](event, listener));
+
+				return instances;
+			}
+		});
+	});
+
+	Object.defineProperty(instances, 'flush', {
+		value() {
+			return Promise.all(Object.keys(instances).map(name => instances[name].flush()));
+		}
 	});
 
 	return instances;
 };
 
+module.exports.runAs = SequelizeHistory.runAs;
+
+module.exports.runWith = SequelizeHistory.runWith;
+
+module.exports.getChangeset = SequelizeHistory.getChangeset;
+
+module.exports.revertChangeset = SequelizeHistory.revertChangeset;
+
 module.exports.SequelizeHistory = SequelizeHistory;
+
+module.exports.SequelizeStore = SequelizeStore;
+
+module.exports.JsonlStore = JsonlStore;
+
+module.exports.HistoryReadOnlyError = HistoryReadOnlyError;
+
+module.exports.HistorySchemaError = HistorySchemaError;
@@ -2,31 +2,56 @@
 
 require('events').EventEmitter.defaultMaxListeners = 100;
 
+const childProcess = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const test = require('tape');
 const Sequelize = require('sequelize');
 const revisionTracker = require('./../../');
 
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
 let UserRevision = null;
 let sequelize = null;
 let User = null;
 
-const freshDb = () => {
+// Starts from an empty database with `define`'s models tracked,
+// or the User model when there is none, resolving with the models
+const freshDb = (options, define) => {
+	const dbPath = path.join(__dirname, 'test.sqlite');
+
 	sequelize = new Sequelize('', '', '', {
 		dialect: 'sqlite',
 		logging: false,
 		operatorsAliases: false,
-		storage: path.join(__dirname, 'test.sqlite')
+		storage: dbPath
 	});
 
-	User = sequelize.define('User', {name: Sequelize.TEXT});
+	const models = define ? define(sequelize) : sequelize.define('User', {name: Sequelize.TEXT});
+	const histories = [].concat(models).map(model => revisionTracker(model, sequelize, options));
+
+	if (fs.existsSync(dbPath)) {
+		fs.unlinkSync(dbPath);
+	}
 
-	UserRevision = revisionTracker(User, sequelize);
+	if (!define) {
+		User = models;
+		UserRevision = histories[0];
+	}
 
-	return sequelize.sync({force: true});
+	return sequelize.sync({force: true}).then(() => models);
 };
 
+const defineFruit = db => db.define('Fruit', {
+	name: {type: Sequelize.TEXT}
+});
+
+const defineTypedFruit = db => db.define('Fruit', {
+	name: {type: Sequelize.TEXT},
+	type: {type: Sequelize.TEXT}
+});
+
 test('onUpdate/onDestroy: should save to the historyDB', t => {
 	let u = null;
 	t.plan(3);
@@ -269,6 +294,33 @@ test('read-only: destroy', t => {
 		.catch(() => t.ok(true, 'threw error appropriately'));
 });
 
+test('read-only: bulk writes', t => {
+	const expectReadOnly = (query, label) => query
+		.then(() => t.fail(label))
+		.catch(err => t.ok(err instanceof revisionTracker.HistoryReadOnlyError, label));
+	t.plan(7);
+
+	return freshDb()
+		.then(() => User.create({name: 'foo'}))
+		.then(user => user.update({name: 'bar'}))
+		.then(() => expectReadOnly(UserRevision.update({name: 'x'}, {where: {}}), 'bulk update'))
+		.then(() => expectReadOnly(UserRevision.destroy({where: {}}), 'bulk destroy'))
+		.then(() => expectReadOnly(UserRevision.truncate(), 'truncate'))
+		.then(() => expectReadOnly(UserRevision.upsert({id: 1, name: 'x'}), 'upsert'))
+		.then(() => expectReadOnly(UserRevision.increment('modelId', {where: {}}), 'increment'))
+		.then(() => UserRevision.update({name: 'x'}, {where: {}, historyWritable: true}))
+		.then(() => UserRevision.findAll())
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.name), ['x'], 'lets flagged queries through');
+			return UserRevision.destroy({where: {}, historyWritable: true});
+		})
+		.then(() => UserRevision.count())
+		.then(c => {
+			t.equal(c, 0, 'lets flagged destroys through');
+		})
+		.catch(err => console.error(err));
+});
+
 test('interference: shouldn\'t delete instance methods', t => {
 	t.plan(2);
 	let Fruit = null;
@@ -356,6 +408,40 @@ test('factories: all factory', t => {
 	t.equal(Object.keys(instances).length, 2, 'all 2 tracking instances created');
 });
 
+test('factories: all factory options', t => {
+	t.plan(6);
+
+	sequelize = new Sequelize('', '', '', {
+		dialect: 'sqlite',
+		logging: false,
+		operatorsAliases: false,
+		storage: path.join(__dirname, 'test.sqlite')
+	});
+
+	const Cat = sequelize.define('Cat', {name: Sequelize.TEXT, secret: Sequelize.TEXT});
+	const Tag = sequelize.define('Tag', {name: Sequelize.TEXT});
+	sequelize.define('Owner', {name: Sequelize.TEXT});
+	Cat.belongsToMany(Tag, {through: 'CatTags'});
+	revisionTracker(sequelize.define('Dog', {name: Sequelize.TEXT}), sequelize);
+
+	const instances = revisionTracker.all(sequelize, {
+		include: ['C*', 'T?g', 'Dog', /^O/],
+		exclude: /^Own/,
+		skipThroughModels: true,
+		perModel: {Cat: {authorFieldName: 'author', excludedAttributes: ['secret']}}
+	});
+
+	t.deepEqual(Object.keys(instances).sort(), ['CatHistory', 'TagHistory'], 'tracks the matching models');
+	t.ok(instances.CatHistory.modelHistory.rawAttributes.author, 'applies per-model options');
+	t.notOk(instances.CatHistory.modelHistory.rawAttributes.secret, 'applies per-model excluded attributes');
+	t.notOk(instances.TagHistory.modelHistory.rawAttributes.author, 'keeps other models\' options');
+
+	const rest = revisionTracker.all(sequelize);
+
+	t.deepEqual(Object.keys(rest).sort(), ['CatTagsHistory', 'OwnerHistory'], 'skips tracked and history models');
+	t.notOk(sequelize.models.CatHistoryHistory, 'leaves history models untracked');
+});
+
 test('authors: creates author field', t => {
 	t.plan(1);
 
@@ -498,3 +584,1824 @@ test('attributes: ignore excluded attributes', t => {
 			});
 	});
 });
+
+test('revisions: lists revisions of an instance', t => {
+	let u = null;
+	t.plan(6);
+
+	return freshDb()
+		.then(() => User.create({name: 'a'}))
+		.then(user => {
+			u = user;
+			return u.update({name: 'b'});
+		})
+		.then(() => u.update({name: 'c'}))
+		.then(() => u.getRevisions())
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.name), ['b', 'a'], 'newest first by default');
+			return u.getRevisions({order: 'ASC'});
+		})
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.name), ['a', 'b'], 'oldest first when ascending');
+			return u.getRevisions({limit: 1});
+		})
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.name), ['b'], 'honours limit');
+			return u.getRevisions({since: new Date(Date.now() + 60000)});
+		})
+		.then(revisions => {
+			t.equal(revisions.length, 0, 'honours since');
+			return u.getRevisionCount();
+		})
+		.then(c => {
+			t.equal(c, 2, 'counts revisions');
+			return User.getRevisionsFor(u.id, {until: new Date()});
+		})
+		.then(revisions => {
+			t.equal(revisions.length, 2, 'static lookup by id');
+		})
+		.catch(err => console.error(err));
+});
+
+test('revisions: finds the revision at a date', t => {
+	const dates = [];
+	let u = null;
+	t.plan(4);
+
+	return freshDb()
+		.then(() => User.create({name: 'a'}))
+		.then(user => {
+			u = user;
+			dates.push(new Date(Date.now() - 60000));
+			return wait(10);
+		})
+		.then(() => {
+			dates.push(new Date());
+			return wait(10);
+		})
+		.then(() => u.update({name: 'b'}))
+		.then(() => wait(10))
+		.then(() => {
+			dates.push(new Date());
+			return wait(10);
+		})
+		.then(() => u.update({name: 'c'}))
+		.then(() => u.getRevisionAt(dates[0]))
+		.then(revision => {
+			t.equal(revision, null, 'no revision before creation');
+			return u.getRevisionAt(dates[1]);
+		})
+		.then(revision => {
+			t.equal(revision.name, 'a', 'first state');
+			return u.getRevisionAt(dates[2]);
+		})
+		.then(revision => {
+			t.equal(revision.name, 'b', 'second state');
+			return u.getRevisionAt(new Date());
+		})
+		.then(revision => {
+			t.equal(revision, null, 'live row holds the current state');
+		})
+		.catch(err => console.error(err));
+});
+
+test('revisions: installs methods alongside the author association', t => {
+	let Fruit = null;
+	t.plan(2);
+
+	return freshDb({authorFieldName: 'authorId'}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.create({name: 'a'});
+		})
+		.then(f => f.update({name: 'b'}))
+		.then(f => f.update({name: 'c'}).then(() => f.getRevisions({order: 'ASC'})))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.name), ['a', 'b'], 'revision order');
+			t.equal(typeof Fruit.prototype.countRevisions, 'function', 'association accessors kept');
+		})
+		.catch(err => console.error(err));
+});
+
+test('as of: reconstructs rows at a point in time', t => {
+	const users = [];
+	let before = null;
+	t.plan(6);
+
+	return freshDb()
+		.then(() => User.bulkCreate([{name: 'a'}, {name: 'b'}, {name: 'c'}]))
+		.then(() => User.findAll({order: [['id', 'ASC']]}))
+		.then(rows => {
+			users.push(...rows);
+			return wait(10);
+		})
+		.then(() => {
+			before = new Date();
+			return wait(10);
+		})
+		.then(() => users[0].update({name: 'a2'}))
+		.then(() => users[1].destroy())
+		.then(() => User.create({name: 'd'}))
+		.then(() => User.findAllAsOf(before))
+		.then(rows => {
+			t.deepEqual(rows.map(r => r.name), ['a', 'b', 'c'], 'earlier state, including destroyed rows');
+			return User.findAllAsOf(new Date());
+		})
+		.then(rows => {
+			t.deepEqual(rows.map(r => r.name), ['a2', 'c', 'd'], 'current state, excluding destroyed rows');
+			return User.findAllAsOf(before, {where: {name: 'b'}});
+		})
+		.then(rows => {
+			t.deepEqual(rows.map(r => r.id), [users[1].id], 'filters reconstructed rows');
+			return User.findAllAsOf(before, {where: {name: 'a2'}});
+		})
+		.then(rows => {
+			t.equal(rows.length, 0, 'filters on the state at the date');
+			return User.findOneAsOf(users[0].id, before);
+		})
+		.then(user => {
+			t.equal(user.name, 'a', 'single row state');
+			return User.findOneAsOf(users[1].id, new Date());
+		})
+		.then(user => {
+			t.equal(user, null, 'destroyed row');
+		})
+		.catch(err => console.error(err));
+});
+
+test('revert: reverts an instance to a revision', t => {
+	let u = null;
+	t.plan(4);
+
+	return freshDb()
+		.then(() => User.create({name: 'a'}))
+		.then(user => {
+			u = user;
+			return u.update({name: 'b'});
+		})
+		.then(() => u.update({name: 'c'}))
+		.then(() => u.getRevisions({order: 'ASC'}))
+		.then(revisions => u.revertTo(revisions[0].id))
+		.then(user => {
+			t.equal(user.name, 'a', 'reverted instance');
+			return User.findById(u.id);
+		})
+		.then(user => {
+			t.equal(user.name, 'a', 'reverted row');
+			return u.getRevisions();
+		})
+		.then(revisions => {
+			t.equal(revisions.length, 3, 'revert archived the replaced state');
+			t.equal(revisions[0].name, 'c', 'replaced state');
+		})
+		.catch(err => console.error(err));
+});
+
+test('revert: reverts an instance to a date', t => {
+	let before = null;
+	let u = null;
+	t.plan(1);
+
+	return freshDb()
+		.then(() => User.create({name: 'a'}))
+		.then(user => {
+			u = user;
+			return wait(10);
+		})
+		.then(() => {
+			before = new Date();
+			return wait(10);
+		})
+		.then(() => u.update({name: 'b'}))
+		.then(() => u.revertTo(before))
+		.then(user => {
+			t.equal(user.name, 'a', 'state at date');
+		})
+		.catch(err => console.error(err));
+});
+
+test('revert: rejects unknown revisions', t => {
+	t.plan(1);
+
+	return freshDb()
+		.then(() => User.create({name: 'a'}))
+		.then(user => user.revertTo(1000))
+		.catch(err => t.ok(err instanceof Error, 'threw error appropriately'));
+});
+
+test('revert: leaves excluded attributes untouched', t => {
+	t.plan(2);
+
+	return freshDb({excludedAttributes: ['type']}, defineTypedFruit)
+		.then(Fruit => Fruit.create({name: 'a', type: 'apple'}))
+		.then(f => f.update({name: 'b', type: 'pear'}))
+		.then(f => f.getRevisions().then(revisions => f.revertTo(revisions[0].id)))
+		.then(f => {
+			t.equal(f.name, 'a', 'reverts tracked attributes');
+			t.equal(f.type, 'pear', 'keeps excluded attributes');
+		})
+		.catch(err => console.error(err));
+});
+
+test('restore: re-creates a destroyed row', t => {
+	let id = null;
+	t.plan(2);
+
+	return freshDb()
+		.then(() => User.create({name: 'a'}))
+		.then(user => {
+			id = user.id;
+			return user.destroy();
+		})
+		.then(() => User.getRevisionsFor(id))
+		.then(revisions => User.restore(id, revisions[0].id))
+		.then(() => User.findById(id))
+		.then(user => {
+			t.equal(user.name, 'a', 'restored row');
+			return User.restore(id, 1000);
+		})
+		.catch(err => t.ok(err instanceof Error, 'rejects unknown revisions'));
+});
+
+test('restore: keeps paranoid restores working', t => {
+	let Fruit = null;
+	t.plan(1);
+
+	return freshDb({}, db => db.define('Fruit', {name: {type: Sequelize.TEXT}}, {paranoid: true}))
+		.then(model => {
+			Fruit = model;
+			return Fruit.create({name: 'a'});
+		})
+		.then(f => f.destroy())
+		.then(() => Fruit.restore({where: {}}))
+		.then(() => Fruit.count())
+		.then(c => {
+			t.equal(c, 1, 'restores soft-deleted rows');
+		})
+		.catch(err => console.error(err));
+});
+
+test('operations: records the operation of each revision', t => {
+	let u = null;
+	t.plan(1);
+
+	return freshDb()
+		.then(() => User.create({name: 'a'}))
+		.then(user => {
+			u = user;
+			return u.update({name: 'b'});
+		})
+		.then(() => u.getRevisions().then(revisions => u.revertTo(revisions[0].id)))
+		.then(() => User.update({name: 'c'}, {where: {}}))
+		.then(() => u.reload())
+		.then(() => u.destroy())
+		.then(() => User.create({name: 'd'}))
+		.then(() => User.destroy({where: {}}))
+		.then(() => UserRevision.findAll({order: [['id', 'ASC']]}))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.operation),
+				['update', 'restore', 'bulkUpdate', 'destroy', 'bulkDestroy'], 'operation types');
+		})
+		.catch(err => console.error(err));
+});
+
+test('operations: optionally records creation snapshots', t => {
+	let Fruit = null;
+	let before = null;
+	let f = null;
+	t.plan(5);
+
+	return freshDb({trackCreation: true}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.create({name: 'a'});
+		})
+		.then(fruit => {
+			f = fruit;
+			return f.getRevisions();
+		})
+		.then(revisions => {
+			t.equal(revisions.length, 1, 'creation snapshot');
+			t.equal(revisions[0].operation, 'create', 'creation operation');
+			t.equal(revisions[0].name, 'a', 'created state');
+			return wait(10);
+		})
+		.then(() => {
+			before = new Date();
+			return wait(10);
+		})
+		.then(() => f.update({name: 'b'}))
+		.then(() => Fruit.findOneAsOf(f.id, before))
+		.then(fruit => {
+			t.equal(fruit.name, 'a', 'state at date');
+			return f.getRevisionAt(new Date());
+		})
+		.then(revision => {
+			t.equal(revision, null, 'creation snapshot is not a replaced state');
+		})
+		.catch(err => console.error(err));
+});
+
+const defineDiffFruit = db => db.define('Fruit', {
+	name: {type: Sequelize.TEXT},
+	body: {type: Sequelize.TEXT}
+});
+
+test('storage: diff records changed fields only', t => {
+	let Fruit = null;
+	let f = null;
+	t.plan(5);
+
+	return freshDb({storage: 'diff'}, defineDiffFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.create({name: 'a', body: 'x'});
+		})
+		.then(fruit => {
+			f = fruit;
+			return f.update({name: 'b'});
+		})
+		.then(() => f.getRevisions())
+		.then(revisions => {
+			const changes = revisions[0].changes.filter(change => change.field !== 'updatedAt');
+
+			t.equal(revisions.length, 1, 'one revision');
+			t.deepEqual(changes, [{field: 'name', from: 'a', to: 'b'}], 'changed fields');
+			t.equal(revisions[0].body, null, 'no snapshot');
+			return f.update({name: 'b'});
+		})
+		.then(() => f.save())
+		.then(() => f.getRevisionCount())
+		.then(c => {
+			t.equal(c, 1, 'skips revisions without changes');
+			return f.destroy();
+		})
+		.then(() => f.getRevisions())
+		.then(revisions => {
+			t.equal(revisions[0].body, 'x', 'snapshot on destroy');
+		})
+		.catch(err => console.error(err));
+});
+
+test('storage: diff revisions are reconstructed', t => {
+	const dates = [];
+	let Fruit = null;
+	let f = null;
+	t.plan(5);
+
+	return freshDb({storage: 'diff'}, defineDiffFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.create({name: 'a', body: 'x'});
+		})
+		.then(fruit => {
+			f = fruit;
+			return wait(10);
+		})
+		.then(() => {
+			dates.push(new Date());
+			return wait(10);
+		})
+		.then(() => f.update({name: 'b'}))
+		.then(() => wait(10))
+		.then(() => {
+			dates.push(new Date());
+			return wait(10);
+		})
+		.then(() => f.update({body: 'y'}))
+		.then(() => Fruit.findOneAsOf(f.id, dates[0]))
+		.then(fruit => {
+			t.deepEqual([fruit.name, fruit.body], ['a', 'x'], 'first state');
+			return Fruit.findOneAsOf(f.id, dates[1]);
+		})
+		.then(fruit => {
+			t.deepEqual([fruit.name, fruit.body], ['b', 'x'], 'second state');
+			return Fruit.findAllAsOf(dates[1], {where: {name: 'a'}});
+		})
+		.then(fruits => {
+			t.equal(fruits.length, 0, 'filters reconstructed state');
+			return Fruit.findAllAsOf(dates[1], {where: {name: {[Sequelize.Op.ne]: 'a'}}});
+		})
+		.catch(err => {
+			t.ok(err instanceof Error, 'rejects operators');
+			return f.revertTo(dates[0]);
+		})
+		.then(fruit => {
+			t.deepEqual([fruit.name, fruit.body], ['a', 'x'], 'reverted state');
+		})
+		.catch(err => console.error(err));
+});
+
+test('storage: both records snapshots and changes', t => {
+	t.plan(3);
+
+	return freshDb({storage: 'both'}, defineDiffFruit)
+		.then(Fruit => Fruit.create({name: 'a', body: 'x'}))
+		.then(f => f.update({name: 'b'}).then(() => f.getRevisions()))
+		.then(revisions => {
+			t.equal(revisions[0].name, 'a', 'snapshot');
+			t.equal(revisions[0].body, 'x', 'full snapshot');
+			t.equal(revisions[0].changes.filter(change => change.field === 'name').length, 1, 'changes');
+		})
+		.catch(err => console.error(err));
+});
+
+test('diff: compares two revisions', t => {
+	let u = null;
+	t.plan(3);
+
+	return freshDb()
+		.then(() => User.create({name: 'a'}))
+		.then(user => {
+			u = user;
+			return u.update({name: 'b'});
+		})
+		.then(() => u.update({name: 'c'}))
+		.then(() => u.getRevisions({order: 'ASC'}))
+		.then(revisions => {
+			const changes = revisionTracker.SequelizeHistory.diff(revisions[0], revisions[1]);
+
+			t.deepEqual(changes.filter(change => change.field === 'name'),
+				[{field: 'name', path: ['name'], from: 'a', to: 'b'}], 'changed attribute');
+			t.equal(changes.filter(change => ['id', 'modelId', 'archivedAt'].indexOf(change.field) > -1).length,
+				0, 'ignores bookkeeping fields');
+			return u.diffWith(revisions[0].id);
+		})
+		.then(changes => {
+			t.deepEqual(changes.filter(change => change.field === 'name'),
+				[{field: 'name', path: ['name'], from: 'a', to: 'c'}], 'compares with the live row');
+		})
+		.catch(err => console.error(err));
+});
+
+test('diff: compares nested values path by path', t => {
+	t.plan(2);
+
+	const changes = revisionTracker.SequelizeHistory.diff({
+		id: 1,
+		archivedAt: new Date(0),
+		meta: {address: {city: 'Paris', zip: '75001'}, tags: ['a']}
+	}, {
+		id: 2,
+		archivedAt: new Date(),
+		meta: {address: {city: 'Lyon', zip: '75001'}, tags: ['a', 'b']}
+	});
+
+	t.deepEqual(changes[0], {field: 'meta', path: ['meta', 'address', 'city'], from: 'Paris', to: 'Lyon'}, 'path-level diff');
+	t.deepEqual(changes[1].path, ['meta', 'tags'], 'arrays compared whole');
+});
+
+test('diff: honours excluded attributes', t => {
+	t.plan(1);
+
+	return freshDb({excludedAttributes: ['type']}, defineTypedFruit)
+		.then(Fruit => Fruit.create({name: 'a', type: 'apple'}))
+		.then(f => f.update({name: 'b', type: 'pear'}))
+		.then(f => f.getRevisions().then(revisions => f.diffWith(revisions[0].id)))
+		.then(changes => {
+			t.deepEqual(changes.filter(change => change.field !== 'updatedAt'),
+				[{field: 'name', path: ['name'], from: 'a', to: 'b'}], 'only tracked attributes');
+		})
+		.catch(err => console.error(err));
+});
+
+test('authors: tracks per-call revision authors', t => {
+	let Fruit = null;
+	t.plan(3);
+
+	return freshDb({authorFieldName: 'authorId'}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.bulkCreate([{name: 'a'}, {name: 'b'}]);
+		})
+		.then(() => Fruit.findById(1))
+		.then(f => f.update({name: 'a2'}, {historyAuthor: 7}))
+		.then(() => Fruit.update({name: 'c'}, {where: {}, historyAuthor: 8}))
+		.then(() => sequelize.models.FruitHistory.findAll({order: [['id', 'ASC']]}))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.authorId), [7, 8, 8], 'per-call authors');
+			Fruit.setRevisingAuthor(50);
+			return Fruit.findById(1);
+		})
+		.then(f => f.update({name: 'a3'}, {historyAuthor: 9}))
+		.then(() => {
+			t.equal(Fruit._sequelizeHistoryProps._authorId, 50, 'keeps the static author');
+			return Fruit.findById(2);
+		})
+		.then(f => f.update({name: 'b2'}))
+		.then(() => sequelize.models.FruitHistory.findAll({order: [['id', 'DESC']], limit: 2}))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.authorId), [50, 9], 'per-call author takes precedence');
+		})
+		.catch(err => console.error(err));
+});
+
+test('authors: tracks scoped revision authors', t => {
+	let Fruit = null;
+	t.plan(3);
+
+	return freshDb({authorFieldName: 'authorId'}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.bulkCreate([{name: 'a'}, {name: 'b'}]);
+		})
+		.then(() => Fruit.findAll({order: [['id', 'ASC']]}))
+		.then(fruits => Promise.all([
+			revisionTracker.runAs(1, () => wait(10).then(() => fruits[0].update({name: 'a2'}))),
+			revisionTracker.runAs(2, () => fruits[1].update({name: 'b2'}))
+		]))
+		.then(() => sequelize.models.FruitHistory.findAll({order: [['modelId', 'ASC']]}))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.authorId), [1, 2], 'concurrent scopes');
+			return revisionTracker.runAs(3, () => Fruit.update({name: 'c'}, {where: {}}));
+		})
+		.then(() => revisionTracker.runAs(3, () => Fruit.update({name: 'd'}, {where: {id: 1}, historyAuthor: 4})))
+		.then(() => sequelize.models.FruitHistory.findAll({order: [['id', 'ASC']]}))
+		.then(revisions => {
+			t.deepEqual(revisions.slice(2, 4).map(r => r.authorId), [3, 3], 'scoped bulk revisions');
+			t.equal(revisions[4].authorId, 4, 'per-call author takes precedence');
+		})
+		.catch(err => console.error(err));
+});
+
+test('authors: configurable author field type', t => {
+	t.plan(2);
+
+	return freshDb({authorFieldName: 'authorId', authorFieldType: Sequelize.STRING}, defineFruit)
+		.then(Fruit => Fruit.create({name: 'a'}))
+		.then(f => f.update({name: 'b'}, {historyAuthor: 'user-abc'}))
+		.then(() => sequelize.models.FruitHistory.findOne())
+		.then(revision => {
+			t.equal(sequelize.models.FruitHistory.attributes.authorId.type.key, 'STRING', 'author field type');
+			t.equal(revision.authorId, 'user-abc', 'tracks string authors');
+		})
+		.catch(err => console.error(err));
+});
+
+test('authors: associates revisions with an author model', t => {
+	t.plan(4);
+	let person = null;
+	let Fruit = null;
+	const define = db => {
+		db.define('Person', {
+			id: {type: Sequelize.UUID, primaryKey: true, defaultValue: Sequelize.UUIDV4},
+			name: {type: Sequelize.TEXT}
+		});
+
+		return defineFruit(db);
+	};
+
+	return freshDb({authorFieldName: 'authorId', authorModel: 'Person'}, define)
+		.then(model => {
+			Fruit = model;
+			return sequelize.models.Person.create({name: 'ann'});
+		})
+		.then(p => {
+			person = p;
+			return Fruit.create({name: 'a'});
+		})
+		.then(f => f.update({name: 'b'}, {historyAuthor: person.id})
+			.then(() => f.update({name: 'c'}, {historyAuthor: person.id}))
+			.then(() => f.getRevisions({includeAuthor: true})))
+		.then(revisions => {
+			t.equal(sequelize.models.FruitHistory.attributes.authorId.type.key, 'UUID', 'mirrors author key type');
+			t.equal(revisions.length, 2, 'lists revisions');
+			t.equal(revisions[0].author.name, 'ann', 'includes author');
+			return revisions[1].getAuthor();
+		})
+		.then(author => {
+			t.equal(author.id, person.id, 'author accessor');
+		})
+		.catch(err => console.error(err));
+});
+
+test('metadata: records revision metadata', t => {
+	let Fruit = null;
+	t.plan(4);
+
+	return freshDb({
+		metadataFields: {reason: Sequelize.STRING, requestId: {type: Sequelize.STRING}},
+		metaFieldName: 'meta'
+	}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.bulkCreate([{name: 'a'}, {name: 'b'}]);
+		})
+		.then(() => Fruit.findById(1))
+		.then(f => f.update({name: 'a2'}, {historyMeta: {reason: 'typo', source: 'admin'}}))
+		.then(() => revisionTracker.runWith({meta: {requestId: 'r-1', reason: 'import'}}, () =>
+			Fruit.update({name: 'c'}, {where: {}, historyMeta: {reason: 'bulk'}})))
+		.then(() => sequelize.models.FruitHistory.findAll({order: [['id', 'ASC']]}))
+		.then(revisions => {
+			t.deepEqual([revisions[0].reason, revisions[0].requestId], ['typo', null], 'per-call metadata columns');
+			t.deepEqual(revisions[0].meta, {reason: 'typo', source: 'admin'}, 'metadata object');
+			t.deepEqual(revisions.slice(1).map(r => [r.reason, r.requestId]),
+				[['bulk', 'r-1'], ['bulk', 'r-1']], 'scoped metadata merged with per-call metadata');
+			return Fruit.findById(2);
+		})
+		.then(f => f.update({name: 'b3'}))
+		.then(() => sequelize.models.FruitHistory.findOne({order: [['id', 'DESC']]}))
+		.then(revision => {
+			t.equal(revision.meta, null, 'no metadata');
+		})
+		.catch(err => console.error(err));
+});
+
+test('metadata: rejects colliding metadata fields', t => {
+	t.plan(1);
+
+	sequelize = new Sequelize('', '', '', {
+		dialect: 'sqlite',
+		logging: false,
+		operatorsAliases: false,
+		storage: path.join(__dirname, 'test.sqlite')
+	});
+
+	t.throws(() => revisionTracker(sequelize.define('Fruit', {
+		name: {type: Sequelize.TEXT}
+	}), sequelize, {metadataFields: {name: Sequelize.STRING}}), /collides/, 'throws on collisions');
+});
+
+test('keys: tracks models with a non-integer primary key', t => {
+	let Token = null;
+	let token = null;
+	t.plan(5);
+	const define = db => db.define('Token', {
+		uuid: {type: Sequelize.UUID, primaryKey: true, defaultValue: Sequelize.UUIDV4},
+		name: {type: Sequelize.TEXT}
+	});
+
+	return freshDb({}, define)
+		.then(model => {
+			Token = model;
+			return Token.create({name: 'a'});
+		})
+		.then(created => {
+			token = created;
+			t.equal(sequelize.models.TokenHistory.attributes.modelId.type.key, 'UUID', 'mirrors key type');
+			t.equal(typeof sequelize.models.TokenHistory.attributes.uuid, 'undefined', 'key stored as modelId');
+			return token.update({name: 'b'});
+		})
+		.then(() => token.getRevisions())
+		.then(revisions => {
+			t.equal(revisions[0].modelId, token.uuid, 'references the instance');
+			return token.destroy();
+		})
+		.then(() => Token.getRevisionsFor(token.uuid))
+		.then(revisions => Token.restore(token.uuid, revisions[revisions.length - 1].id))
+		.then(() => Token.findById(token.uuid))
+		.then(restored => {
+			t.equal(restored.name, 'a', 'restores by key');
+			return Token.findOneAsOf(token.uuid, new Date());
+		})
+		.then(found => {
+			t.equal(found.uuid, token.uuid, 'reads by key');
+		})
+		.catch(err => console.error(err));
+});
+
+test('keys: tracks models with a composite primary key', t => {
+	let Membership = null;
+	let before = null;
+	t.plan(6);
+	const define = db => db.define('Membership', {
+		tenantId: {type: Sequelize.INTEGER, primaryKey: true},
+		code: {type: Sequelize.STRING, primaryKey: true},
+		name: {type: Sequelize.TEXT}
+	});
+
+	return freshDb({}, define)
+		.then(model => {
+			Membership = model;
+			return Membership.bulkCreate([
+				{tenantId: 1, code: 'a', name: 'a'},
+				{tenantId: 1, code: 'b', name: 'b'},
+				{tenantId: 2, code: 'a', name: 'c'}
+			]);
+		})
+		.then(() => wait(10))
+		.then(() => {
+			before = new Date();
+			return wait(10);
+		})
+		.then(() => Membership.findOne({where: {tenantId: 1, code: 'a'}}))
+		.then(m => m.update({name: 'a2'}).then(() => m.getRevisions()))
+		.then(revisions => {
+			t.equal(revisions.length, 1, 'instance revisions');
+			t.equal(revisions[0].modelId, '[1,"a"]', 'serialized key');
+			return Membership.update({name: 'x'}, {where: {tenantId: 1}});
+		})
+		.then(() => Membership.getRevisionsFor({tenantId: 1, code: 'b'}))
+		.then(revisions => {
+			t.equal(revisions[0].name, 'b', 'bulk revisions by key');
+			return Membership.destroy({where: {tenantId: 2}});
+		})
+		.then(() => Membership.findAllAsOf(before))
+		.then(rows => {
+			t.deepEqual(rows.map(r => [r.tenantId, r.code, r.name]),
+				[[1, 'a', 'a'], [1, 'b', 'b'], [2, 'a', 'c']], 'reconstructs rows by key');
+			return Membership.getRevisionsFor({tenantId: 2, code: 'a'});
+		})
+		.then(revisions => Membership.restore({tenantId: 2, code: 'a'}, revisions[0].id))
+		.then(restored => {
+			t.deepEqual([restored.tenantId, restored.code, restored.name], [2, 'a', 'c'], 'restores by key');
+			return Membership.findOneAsOf({tenantId: 1, code: 'b'}, new Date());
+		})
+		.then(found => {
+			t.equal(found.name, 'x', 'reads by key');
+		})
+		.catch(err => console.error(err));
+});
+
+test('keys: rejects models without a primary key', t => {
+	t.plan(2);
+
+	sequelize = new Sequelize('', '', '', {
+		dialect: 'sqlite',
+		logging: false,
+		operatorsAliases: false,
+		storage: path.join(__dirname, 'test.sqlite')
+	});
+
+	const Log = sequelize.define('Log', {message: Sequelize.TEXT});
+	Log.removeAttribute('id');
+
+	t.throws(() => revisionTracker(Log, sequelize), /primary key/, 'throws');
+	t.equal(Object.keys(revisionTracker.all(sequelize)).length, 0, 'skipped by the all factory');
+});
+
+test('retention: prunes revisions beyond a count', t => {
+	let Fruit = null;
+	let FruitHistory = null;
+	t.plan(5);
+
+	return freshDb({retention: {maxRevisions: 2, batchSize: 1}}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			FruitHistory = sequelize.models.FruitHistory;
+			return Fruit.bulkCreate([{name: 'a0'}, {name: 'b0'}]);
+		})
+		.then(() => Fruit.findAll({order: [['id', 'ASC']]}))
+		.then(fruits => [1, 2, 3, 4].reduce((chain, n) => chain
+			.then(() => fruits[0].update({name: `a${n}`})), Promise.resolve())
+			.then(() => fruits[1].update({name: 'b1'})))
+		.then(() => Fruit.pruneHistory({dryRun: true}))
+		.then(c => {
+			t.equal(c, 2, 'counts prunable revisions');
+			return FruitHistory.count();
+		})
+		.then(c => {
+			t.equal(c, 5, 'dry run deletes nothing');
+			return Fruit.pruneHistory();
+		})
+		.then(c => {
+			t.equal(c, 2, 'prunes revisions');
+			return FruitHistory.findAll({where: {modelId: 1}, order: [['id', 'ASC']]});
+		})
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.name), ['a2', 'a3'], 'keeps the newest revisions');
+			return FruitHistory.count({where: {modelId: 2}});
+		})
+		.then(c => {
+			t.equal(c, 1, 'leaves other instances alone');
+		})
+		.catch(err => console.error(err));
+});
+
+test('retention: prunes revisions beyond a count keeping destroyed instances', t => {
+	let Fruit = null;
+	let FruitHistory = null;
+	t.plan(3);
+
+	return freshDb({retention: {maxRevisions: 2, keepDestroyed: true}}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			FruitHistory = sequelize.models.FruitHistory;
+			return Fruit.bulkCreate([{name: 'a0'}, {name: 'b0'}]);
+		})
+		.then(() => Fruit.findAll({order: [['id', 'ASC']]}))
+		.then(fruits => [1, 2, 3, 4, 5].reduce((chain, n) => chain
+			.then(() => fruits[0].update({name: `a${n}`})), Promise.resolve())
+			.then(() => fruits[1].update({name: 'b1'}))
+			.then(() => fruits[1].update({name: 'b2'}))
+			.then(() => fruits[1].destroy()))
+		.then(() => Fruit.pruneHistory())
+		.then(c => {
+			t.equal(c, 4, 'prunes revisions');
+			return FruitHistory.findAll({where: {modelId: 1}, order: [['id', 'ASC']]});
+		})
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.name), ['a3', 'a4'], 'keeps the newest revisions');
+			return FruitHistory.findAll({where: {modelId: 2}, order: [['id', 'ASC']]});
+		})
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => [r.name, r.operation]), [['b1', 'update'], ['b2', 'destroy']],
+				'counts final destroy snapshots');
+		})
+		.catch(err => console.error(err));
+});
+
+test('retention: prunes revisions by age', t => {
+	let Fruit = null;
+	let FruitHistory = null;
+	t.plan(4);
+
+	return freshDb({retention: {maxAge: 10, keepDestroyed: true}}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			FruitHistory = sequelize.models.FruitHistory;
+			return Fruit.bulkCreate([{name: 'a'}, {name: 'b'}]);
+		})
+		.then(() => Fruit.findAll({order: [['id', 'ASC']]}))
+		.then(fruits => fruits[0].update({name: 'a2'})
+			.then(() => fruits[1].update({name: 'b2'}))
+			.then(() => fruits[1].destroy()))
+		.then(() => wait(30))
+		.then(() => Fruit.findById(1))
+		.then(fruit => fruit.update({name: 'a3'}))
+		.then(() => Fruit.pruneHistory())
+		.then(c => {
+			t.equal(c, 2, 'prunes old revisions');
+			return FruitHistory.findAll({order: [['id', 'ASC']]});
+		})
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => [r.name, r.operation]),
+				[['b2', 'destroy'], ['a2', 'update']], 'keeps recent revisions and final destroy snapshots');
+			return Fruit.pruneHistory({maxAge: 0.001, keepDestroyed: false});
+		})
+		.then(c => {
+			t.equal(c, 2, 'per-call rules');
+			return FruitHistory.destroy({where: {}});
+		})
+		.catch(() => t.ok(true, 'history stays read-only'));
+});
+
+test('integrity: chains revision hashes', t => {
+	let Fruit = null;
+	let FruitHistory = null;
+	t.plan(6);
+
+	return freshDb({integrity: true}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			FruitHistory = sequelize.models.FruitHistory;
+			return Fruit.bulkCreate([{name: 'a'}, {name: 'b'}]);
+		})
+		.then(() => Fruit.findById(1))
+		.then(fruit => fruit.update({name: 'a2'}))
+		.then(() => Fruit.update({name: 'same'}, {where: {}}))
+		.then(() => Fruit.findById(1))
+		.then(fruit => fruit.update({name: 'a3'}))
+		.then(() => FruitHistory.findAll({where: {modelId: 1}, order: [['id', 'ASC']]}))
+		.then(revisions => {
+			t.equal(revisions[0].prevHash, null, 'starts a chain');
+			t.ok(revisions.slice(1).every((revision, i) => revision.prevHash === revisions[i].hash),
+				'links each revision to the previous one');
+			return Fruit.verifyHistory();
+		})
+		.then(result => {
+			t.deepEqual(result, {valid: true, checked: 4, errors: []}, 'verifies untouched chains');
+			return sequelize.query('UPDATE FruitHistories SET name = \'x\' WHERE id = 2');
+		})
+		.then(() => Fruit.verifyHistory({modelId: 1}))
+		.then(result => {
+			t.deepEqual(result.errors, [{id: 2, modelId: 1, reason: 'hash'}], 'reports altered revisions');
+			return sequelize.query('DELETE FROM FruitHistories WHERE id = 1');
+		})
+		.then(() => Fruit.verifyHistory({modelId: 1}))
+		.then(result => {
+			t.deepEqual(result.errors.map(error => error.reason), ['hash', 'link'], 'reports missing revisions');
+			return Fruit.verifyHistory({modelId: 2});
+		})
+		.then(result => {
+			t.ok(result.valid, 'checks a single instance');
+		})
+		.catch(err => console.error(err));
+});
+
+test('integrity: accepts pruned chains on request', t => {
+	let Fruit = null;
+	t.plan(3);
+
+	return freshDb({integrity: true, retention: {maxRevisions: 1}}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.create({name: 'a'});
+		})
+		.then(fruit => fruit.update({name: 'b'}).then(() => fruit.update({name: 'c'})))
+		.then(() => Fruit.pruneHistory())
+		.then(() => Fruit.verifyHistory())
+		.then(result => {
+			t.deepEqual(result.errors, [{id: 2, modelId: 1, reason: 'link'}], 'reports pruned revisions');
+			return Fruit.verifyHistory({allowPruned: true, batchSize: 1});
+		})
+		.then(result => {
+			t.ok(result.valid, 'accepts pruned revisions');
+			return freshDb({}, defineFruit);
+		})
+		.then(model => model.verifyHistory())
+		.catch(err => t.ok(err instanceof Error, 'requires integrity'));
+});
+
+test('integrity: reports stripped hashes', t => {
+	let Fruit = null;
+	t.plan(3);
+
+	return freshDb({integrity: true}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.bulkCreate([{name: 'a'}, {name: 'b'}]);
+		})
+		.then(() => Fruit.update({name: 'c'}, {where: {}}))
+		.then(() => Fruit.update({name: 'd'}, {where: {}}))
+		.then(() => sequelize.query('UPDATE FruitHistories SET hash = NULL, prevHash = NULL WHERE modelId = 2'))
+		.then(() => Fruit.verifyHistory())
+		.then(result => {
+			t.deepEqual(result.errors, [
+				{id: 2, modelId: 2, reason: 'unsealed'},
+				{id: 4, modelId: 2, reason: 'unsealed'}
+			], 'reports unsealed revisions written after sealed ones');
+			return sequelize.query('UPDATE FruitHistories SET hash = NULL, prevHash = NULL');
+		})
+		.then(() => Fruit.verifyHistory())
+		.then(result => {
+			t.deepEqual(result, {valid: true, checked: 0, errors: []}, 'skips tables without sealed revisions');
+			return Fruit.verifyHistory({sealedSince: 1});
+		})
+		.then(result => {
+			t.equal(result.errors.length, 4, 'reports revisions written since integrity was enabled');
+		})
+		.catch(err => console.error(err));
+});
+
+test('integrity: chains concurrent revisions of an instance', t => {
+	let Fruit = null;
+	t.plan(2);
+
+	return freshDb({integrity: true}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.create({name: 'a'});
+		})
+		.then(fruit => Promise.all([
+			Fruit.update({name: 'b'}, {where: {id: 1}}),
+			Fruit.update({name: 'c'}, {where: {id: 1}}),
+			fruit.update({name: 'd'}),
+			Fruit.update({name: 'e'}, {where: {id: 1}})
+		]))
+		.then(() => Promise.all([Fruit.verifyHistory(), sequelize.models.FruitHistory.count()]))
+		.then(([result, count]) => {
+			t.ok(result.valid, 'links each revision to a different predecessor');
+			t.equal(result.checked, count, 'checks every revision');
+		})
+		.catch(err => console.error(err));
+});
+
+['chunked', 'insertSelect'].forEach(strategy => {
+	test(`bulk strategies: ${strategy}`, t => {
+		let Fruit = null;
+		let FruitHistory = null;
+		let created = null;
+		t.plan(5);
+
+		return freshDb({bulkStrategy: strategy, bulkBatchSize: 2, metaFieldName: 'meta'}, defineFruit)
+			.then(model => {
+				Fruit = model;
+				FruitHistory = sequelize.models.FruitHistory;
+				return Fruit.bulkCreate(['a', 'b', 'c', 'd', 'e'].map(name => ({name})));
+			})
+			.then(() => Fruit.findById(1))
+			.then(fruit => {
+				created = fruit.createdAt;
+				return Fruit.update({name: 'z'}, {where: {name: {[Sequelize.Op.ne]: 'c'}}, historyMeta: {reason: 'bulk'}});
+			})
+			.then(() => FruitHistory.findAll({order: [['modelId', 'ASC']]}))
+			.then(revisions => {
+				t.deepEqual(revisions.map(r => [r.modelId, r.name]),
+					[[1, 'a'], [2, 'b'], [4, 'd'], [5, 'e']], 'archives the matched rows');
+				t.ok(revisions.every(r => r.operation === 'bulkUpdate'), 'records the operation');
+				t.deepEqual(revisions[0].meta, {reason: 'bulk'}, 'records metadata');
+				t.equal(revisions[0].createdAt.getTime(), created.getTime(), 'keeps archived timestamps');
+				return Fruit.destroy({where: {}});
+			})
+			.then(() => FruitHistory.count({where: {operation: 'bulkDestroy'}}))
+			.then(c => {
+				t.equal(c, 5, 'archives bulk destroys');
+			})
+			.catch(err => console.error(err));
+	});
+});
+
+test('bulk updates: only archive changed rows', t => {
+	let Fruit = null;
+	let FruitHistory = null;
+	let before = null;
+	t.plan(5);
+
+	return freshDb({storage: 'diff', bulkChangedOnly: true}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			FruitHistory = sequelize.models.FruitHistory;
+			return Fruit.bulkCreate([{name: 'a'}, {name: 'b'}, {name: 'c'}]);
+		})
+		.then(() => wait(10))
+		.then(() => {
+			before = new Date();
+			return wait(10);
+		})
+		.then(() => Fruit.update({name: 'b'}, {where: {}}))
+		.then(() => FruitHistory.findAll({order: [['modelId', 'ASC']]}))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.modelId), [1, 3], 'skips unchanged rows');
+			t.equal(revisions[0].name, null, 'only stores the diff');
+			t.deepEqual(revisions[0].changes.filter(c => c.field === 'name'),
+				[{field: 'name', from: 'a', to: 'b'}], 'records the updated fields');
+			return Fruit.findOneAsOf(1, before);
+		})
+		.then(fruit => {
+			t.equal(fruit.name, 'a', 'rebuilds earlier states');
+			return Fruit.update({name: sequelize.literal('name')}, {where: {id: 2}});
+		})
+		.then(() => FruitHistory.count({where: {modelId: 2}}))
+		.then(c => {
+			t.equal(c, 1, 'archives rows set to computed values');
+		})
+		.catch(err => console.error(err));
+});
+
+test('bulk updates: only archive changed rows with insertSelect', t => {
+	let Fruit = null;
+	t.plan(1);
+
+	return freshDb({bulkStrategy: 'insertSelect', bulkChangedOnly: true}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.bulkCreate([{name: 'a'}, {name: 'b'}]);
+		})
+		.then(() => Fruit.update({name: 'b'}, {where: {}}))
+		.then(() => sequelize.models.FruitHistory.findAll())
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.name), ['a'], 'falls back to comparing rows');
+		})
+		.catch(err => console.error(err));
+});
+
+test('triggers: archive changes made outside of Sequelize', t => {
+	let Fruit = null;
+	let FruitHistory = null;
+	let between = null;
+	t.plan(5);
+
+	return freshDb({mode: 'trigger', trackCreation: true}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			FruitHistory = sequelize.models.FruitHistory;
+			return Fruit.installHistoryTriggers();
+		})
+		.then(() => Fruit.installHistoryTriggers())
+		.then(() => Fruit.create({name: 'a'}))
+		.then(fruit => fruit.update({name: 'b'}))
+		.then(() => wait(10))
+		.then(() => {
+			between = new Date();
+			return wait(10);
+		})
+		.then(() => sequelize.query('UPDATE Fruits SET name = \'c\''))
+		.then(() => sequelize.query('DELETE FROM Fruits'))
+		.then(() => FruitHistory.findAll({order: [['id', 'ASC']]}))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => [r.modelId, r.name, r.operation]),
+				[[1, 'a', 'create'], [1, 'a', 'update'], [1, 'b', 'update'], [1, 'c', 'destroy']],
+				'archives every change once');
+			t.ok(revisions.every(r => r.archivedAt instanceof Date), 'records archive dates');
+			return Fruit.findOneAsOf(1, between);
+		})
+		.then(fruit => {
+			t.equal(fruit.name, 'b', 'reads rows as they were');
+			return Fruit.dropHistoryTriggers();
+		})
+		.then(() => Fruit.create({name: 'd'}))
+		.then(() => FruitHistory.count())
+		.then(c => {
+			t.equal(c, 4, 'stops archiving once dropped');
+			return freshDb({mode: 'trigger', integrity: true}, defineFruit);
+		})
+		.catch(err => t.ok(err instanceof Error, 'rejects integrity'));
+});
+
+const loadMigration = source => {
+	const file = path.join(os.tmpdir(), `sequelize-history-migration-${Date.now()}.js`);
+
+	fs.writeFileSync(file, source);
+
+	const migration = require(file);
+
+	fs.unlinkSync(file);
+	return migration;
+};
+
+test('migrations: creates history tables', t => {
+	let Fruit = null;
+	t.plan(3);
+
+	return freshDb({}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			return sequelize.getQueryInterface().dropTable('FruitHistories');
+		})
+		.then(() => Fruit.generateHistoryMigration())
+		.then(source => loadMigration(source).up(sequelize.getQueryInterface(), Sequelize))
+		.then(() => Fruit.create({name: 'a'}))
+		.then(fruit => fruit.update({name: 'b'}))
+		.then(() => sequelize.models.FruitHistory.findAll())
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.name), ['a'], 'creates a working table');
+			return Fruit.generateHistoryMigration({diff: true});
+		})
+		.then(source => {
+			t.equal(source, null, 'nothing to change');
+			return sequelize.getQueryInterface().dropTable('FruitHistories');
+		})
+		.then(() => Fruit.generateHistoryMigration({diff: true}))
+		.then(source => {
+			t.ok(/createTable/.test(source), 'creates missing tables when diffing');
+		})
+		.catch(err => console.error(err));
+});
+
+test('migrations: adds and changes columns', t => {
+	let migration = null;
+	t.plan(5);
+
+	return freshDb({}, defineFruit)
+		.then(() => {
+			sequelize = new Sequelize('', '', '', {
+				dialect: 'sqlite',
+				logging: false,
+				operatorsAliases: false,
+				storage: path.join(__dirname, 'test.sqlite')
+			});
+
+			const Fruit = sequelize.define('Fruit', {
+				name: {type: new Sequelize.STRING(32)},
+				color: {type: new Sequelize.ENUM('red', 'green')}
+			});
+
+			revisionTracker(Fruit, sequelize, {metaFieldName: 'meta'});
+			return Fruit.generateHistoryMigration({diff: true});
+		})
+		.then(source => {
+			t.ok(/addColumn\('FruitHistories', 'color', \{\n\t\t\ttype: Sequelize.ENUM\('red', 'green'\)/.test(source),
+				'adds new attributes');
+			t.ok(/addColumn\('FruitHistories', 'meta'/.test(source), 'adds new bookkeeping fields');
+			t.ok(/changeColumn\('FruitHistories', 'name', \{\n\t\t\ttype: Sequelize.STRING\(32\)/.test(source),
+				'changes altered attributes');
+			migration = loadMigration(source);
+			return migration.up(sequelize.getQueryInterface(), Sequelize);
+		})
+		.then(() => sequelize.getQueryInterface().describeTable('FruitHistories'))
+		.then(columns => {
+			t.deepEqual([columns.color.type, columns.name.type], ['TEXT', 'VARCHAR(32)'], 'migrates up');
+			return migration.down(sequelize.getQueryInterface(), Sequelize);
+		})
+		.then(() => sequelize.getQueryInterface().describeTable('FruitHistories'))
+		.then(columns => {
+			t.deepEqual([columns.color, columns.name.type], [undefined, 'TEXT'], 'migrates down');
+		})
+		.catch(err => console.error(err));
+});
+
+test('migrations: command line', t => {
+	const bin = path.join(__dirname, '..', '..', 'bin', 'sequelize-history.js');
+	const models = path.join(os.tmpdir(), `sequelize-history-models-${Date.now()}.js`);
+	t.plan(3);
+
+	fs.writeFileSync(models, [
+		`const Sequelize = require(${JSON.stringify(require.resolve('sequelize'))});`,
+		`const sequelizeHistory = require(${JSON.stringify(path.join(__dirname, '..', '..'))});`,
+		`const sequelize = new Sequelize('', '', '', {dialect: 'sqlite', logging: false, operatorsAliases: false, ` +
+			`storage: ${JSON.stringify(path.join(__dirname, 'test.sqlite'))}});`,
+		`sequelizeHistory(sequelize.define('Fruit', {name: Sequelize.TEXT, color: Sequelize.TEXT}), sequelize);`,
+		'module.exports = sequelize;'
+	].join('\n'));
+
+	return freshDb({}, defineFruit)
+		.then(() => {
+			const run = args => childProcess.spawnSync(process.execPath, [bin].concat(args), {encoding: 'utf8'});
+			const usage = run([]);
+			const diff = run(['generate-migration', '--models', models, '--model', 'Fruit', '--diff']);
+			const missing = run(['generate-migration', '--models', models, '--model', 'Apple']);
+
+			t.equal(usage.status, 1, 'prints usage');
+			t.ok(/addColumn\('FruitHistories', 'color'/.test(diff.stdout), 'writes migrations');
+			t.ok(/not a model tracked/.test(missing.stderr), 'rejects untracked models');
+			fs.unlinkSync(models);
+		})
+		.catch(err => console.error(err));
+});
+
+test('schema: reports drift between history models and tables', t => {
+	t.plan(4);
+
+	return freshDb({}, defineFruit)
+		.then(Fruit => Fruit.checkHistorySchema())
+		.then(report => {
+			t.deepEqual(report, {valid: true, missing: [], extra: [], mismatched: []}, 'reports matching tables');
+			return sequelize.getQueryInterface().addColumn('FruitHistories', 'color', Sequelize.TEXT);
+		})
+		.then(() => {
+			sequelize = new Sequelize('', '', '', {
+				dialect: 'sqlite',
+				logging: false,
+				operatorsAliases: false,
+				storage: path.join(__dirname, 'test.sqlite')
+			});
+
+			const Fruit = sequelize.define('Fruit', {
+				name: {type: Sequelize.INTEGER},
+				weight: {type: Sequelize.FLOAT}
+			});
+
+			revisionTracker(Fruit, sequelize);
+			return Fruit.checkHistorySchema()
+				.then(report => {
+					t.deepEqual(report, {
+						valid: false,
+						missing: ['weight'],
+						extra: ['color'],
+						mismatched: [{
+							column: 'name',
+							expected: {type: 'INTEGER', allowNull: true},
+							actual: {type: 'TEXT', allowNull: true}
+						}]
+					}, 'reports missing, extra and mismatched columns');
+					return Fruit.checkHistorySchema({failFast: true});
+				});
+		})
+		.catch(err => {
+			t.ok(err instanceof revisionTracker.HistorySchemaError, 'fails fast');
+			t.equal(err.message, 'FruitHistory differs from its table: missing weight, extra color, mismatched name.',
+				'lists the differences');
+		});
+});
+
+const defineAccount = db => db.define('Account', {
+	name: {type: Sequelize.TEXT},
+	email: {type: Sequelize.TEXT, validate: {isEmail: true}},
+	note: {type: Sequelize.TEXT}
+});
+
+test('redaction: redacts values with a marker', t => {
+	let Account = null;
+	let AccountHistory = null;
+	t.plan(6);
+
+	return freshDb({redactedAttributes: ['email'], storage: 'both', includedAttributes: ['name', 'email']}, defineAccount)
+		.then(model => {
+			Account = model;
+			AccountHistory = sequelize.models.AccountHistory;
+			t.notOk(AccountHistory.rawAttributes.note, 'only includes listed attributes');
+			t.notOk(AccountHistory.rawAttributes.email.validate, 'leaves validations to the tracked model');
+			return Account.create({name: 'a', email: 'a@example.com'});
+		})
+		.then(account => account.update({name: 'b', email: 'b@example.com'})
+			.then(() => account.revertTo(1))
+			.then(() => account.reload()))
+		.then(account => {
+			t.equal(account.email, 'b@example.com', 'leaves redacted values alone when reverting');
+			return Account.update({email: 'c@example.com'}, {where: {}});
+		})
+		.then(() => AccountHistory.findAll({order: [['id', 'ASC']]}))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => [r.name, r.email]),
+				[['a', '[REDACTED]'], ['b', '[REDACTED]'], ['a', '[REDACTED]']], 'redacts archived values');
+			t.deepEqual(revisions[0].changes.filter(c => c.field === 'email'),
+				[{field: 'email', from: '[REDACTED]', to: '[REDACTED]'}], 'records that redacted values changed');
+			return Account.findById(1);
+		})
+		.then(account => account.diffWith(1))
+		.then(changes => {
+			t.deepEqual(changes.filter(c => c.field === 'email'), [], 'redacts live values when diffing');
+		})
+		.catch(err => console.error(err));
+});
+
+test('redaction: redacts values with a keyed hash', t => {
+	let Account = null;
+	let AccountHistory = null;
+	t.plan(3);
+
+	return freshDb({redactedAttributes: ['email'], redactionKey: 'secret', bulkStrategy: 'insertSelect'}, defineAccount)
+		.then(model => {
+			Account = model;
+			AccountHistory = sequelize.models.AccountHistory;
+			return Account.bulkCreate([{email: 'a@example.com'}, {email: 'a@example.com'}, {email: 'b@example.com'}]);
+		})
+		.then(() => Account.update({name: 'x'}, {where: {}}))
+		.then(() => AccountHistory.findAll({order: [['modelId', 'ASC']]}))
+		.then(revisions => {
+			t.equal(revisions[0].email.length, 64, 'stores a hash');
+			t.equal(revisions[0].email, revisions[1].email, 'hashes equal values alike');
+			t.notEqual(revisions[0].email, revisions[2].email, 'hashes other values differently');
+		})
+		.catch(err => console.error(err));
+});
+
+test('redaction: redacts values in queries and triggers', t => {
+	let Account = null;
+	t.plan(2);
+
+	return freshDb({redactedAttributes: ['email'], bulkStrategy: 'insertSelect', mode: 'trigger'}, defineAccount)
+		.then(model => {
+			Account = model;
+			return Account.installHistoryTriggers();
+		})
+		.then(() => Account.create({email: 'a@example.com'}))
+		.then(() => sequelize.query('UPDATE Accounts SET email = NULL'))
+		.then(() => sequelize.query('UPDATE Accounts SET email = \'b@example.com\''))
+		.then(() => sequelize.models.AccountHistory.findAll({order: [['id', 'ASC']]}))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.email), ['[REDACTED]', null], 'redacts values in triggers');
+			return freshDb({redactedAttributes: ['email'], mode: 'trigger', redactionKey: 'secret'}, defineAccount);
+		})
+		.catch(err => t.ok(/not supported/.test(err.message), 'rejects keyed hashes in triggers'));
+});
+
+const definePost = db => {
+	const Post = db.define('Post', {title: {type: Sequelize.TEXT}});
+	const Tag = db.define('Tag', {name: {type: Sequelize.TEXT}});
+	const Comment = db.define('Comment', {body: {type: Sequelize.TEXT}});
+
+	Post.belongsToMany(Tag, {through: 'PostTag'});
+	Post.hasMany(Comment);
+
+	return Post;
+};
+
+test('associations: records belongsToMany links', t => {
+	let post = null;
+	let tags = null;
+	t.plan(4);
+
+	return freshDb({trackAssociations: true, authorFieldName: 'author'}, definePost)
+		.then(Post => Post.create({title: 'a'}))
+		.then(instance => {
+			post = instance;
+			return sequelize.models.Tag.bulkCreate([{name: 'x'}, {name: 'y'}, {name: 'z'}]);
+		})
+		.then(() => sequelize.models.Tag.findAll({order: [['id', 'ASC']]}))
+		.then(instances => {
+			tags = instances;
+			return post.addTags([tags[0], tags[1]], {historyAuthor: 1});
+		})
+		.then(() => wait(5))
+		.then(() => post.update({title: 'b'}))
+		.then(() => wait(5))
+		.then(() => post.setTags([tags[1]]))
+		.then(() => wait(5))
+		.then(() => post.addTag(tags[2]))
+		.then(() => wait(5))
+		.then(() => post.removeTag(tags[1]))
+		.then(() => post.getRevisions({includeAssociations: true, order: 'ASC'}))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.operation === 'update' ? r.title : `${r.operation} ${r.targetId}`),
+				['add 1', 'add 2', 'a', 'remove 1', 'add 3', 'remove 2'], 'merges links with revisions chronologically');
+			t.deepEqual(revisions.slice(0, 2).map(r => r.author), [1, 1], 'records the author of links');
+			return post.getRevisions({includeAssociations: true, limit: 2, offset: 1});
+		})
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => `${r.operation} ${r.targetId}`), ['add 3', 'remove 1'], 'pages through merged revisions');
+			return sequelize.models.PostHistoryAssociation.destroy({where: {}});
+		})
+		.catch(err => t.ok(err instanceof revisionTracker.HistoryReadOnlyError, 'keeps links read-only'));
+});
+
+test('associations: records hasMany links', t => {
+	let Comment = null;
+	let posts = null;
+	t.plan(3);
+
+	return freshDb({trackAssociations: ['Comments']}, definePost)
+		.then(Post => Post.bulkCreate([{title: 'a'}, {title: 'b'}]).then(() => Post.findAll({order: [['id', 'ASC']]})))
+		.then(instances => {
+			posts = instances;
+			Comment = sequelize.models.Comment;
+			return posts[0].createComment({body: 'x'});
+		})
+		.then(() => Comment.create({body: 'y'}))
+		.then(comment => posts[0].addComment(comment))
+		.then(() => Comment.findById(1))
+		.then(comment => comment.update({PostId: posts[1].id}))
+		.then(() => Comment.destroy({where: {PostId: posts[0].id}}))
+		.then(() => sequelize.Promise.all(posts.map(post => post.getRevisions({includeAssociations: true, order: 'ASC'}))))
+		.then(revisions => {
+			t.deepEqual(revisions[0].map(r => `${r.operation} ${r.targetId}`),
+				['add 1', 'add 2', 'remove 1', 'remove 2'], 'records children added and removed');
+			t.deepEqual(revisions[1].map(r => `${r.operation} ${r.targetId}`),
+				['add 1'], 'records children moved between instances');
+			return freshDb({trackAssociations: ['Tags', 'Authors']}, definePost);
+		})
+		.catch(err => t.ok(/not a belongsToMany or hasMany association/.test(err.message), 'rejects unknown associations'));
+});
+
+const defineOrder = db => [
+	db.define('Order', {status: {type: Sequelize.TEXT}}),
+	db.define('OrderLine', {quantity: {type: Sequelize.INTEGER}})
+];
+
+test('changesets: groups the revisions of a transaction', t => {
+	let Order = null;
+	let OrderLine = null;
+	let changesetId = null;
+	t.plan(6);
+
+	return freshDb({changesets: true, trackCreation: true}, defineOrder)
+		.then(models => {
+			Order = models[0];
+			OrderLine = models[1];
+			return Order.create({status: 'new'})
+				.then(() => OrderLine.bulkCreate([{quantity: 1}, {quantity: 2}]));
+		})
+		.then(() => sequelize.transaction(transaction => Order.findById(1, {transaction})
+			.then(order => order.update({status: 'paid'}, {transaction}))
+			.then(() => OrderLine.update({quantity: 5}, {where: {}, transaction}))
+			.then(() => OrderLine.create({quantity: 3}, {transaction}))))
+		.then(() => sequelize.models.OrderHistory.findOne({where: {operation: 'update'}}))
+		.then(revision => {
+			changesetId = revision.changesetId;
+			return revisionTracker.getChangeset(sequelize, changesetId);
+		})
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => `${r.constructor.name} ${r.operation} ${r.modelId}`), [
+				'OrderHistory update 1',
+				'OrderLineHistory bulkUpdate 1',
+				'OrderLineHistory bulkUpdate 2',
+				'OrderLineHistory create 3'
+			], 'lists the revisions of every model written in the transaction');
+			return Order.findById(1).then(order => order.update({status: 'shipped'}, {historyChangesetId: 'manual'}));
+		})
+		.then(() => revisionTracker.getChangeset(sequelize, 'manual'))
+		.then(revisions => {
+			t.equal(revisions.length, 1, 'accepts explicit changeset ids');
+			return revisionTracker.getChangeset(sequelize, 'missing');
+		})
+		.then(revisions => {
+			t.deepEqual(revisions, [], 'resolves unknown changesets with no revisions');
+			return revisionTracker.revertChangeset(sequelize, changesetId);
+		})
+		.then(count => {
+			t.equal(count, 4, 'reverts every instance changed in the changeset');
+			return sequelize.Promise.all([Order.findById(1), OrderLine.findAll({order: [['id', 'ASC']]})]);
+		})
+		.then(results => {
+			t.equal(results[0].status, 'new', 'reverts updated instances');
+			t.deepEqual(results[1].map(line => line.quantity), [1, 2], 'reverts bulk updates and destroys created instances');
+		})
+		.catch(err => console.error(err));
+});
+
+test('events: emits revisions once written', t => {
+	let Fruit = null;
+	let Vegetable = null;
+	const events = [];
+	t.plan(6);
+
+	return freshDb({trackCreation: true}, defineFruit)
+		.then(model => {
+			const history = sequelize.models.FruitHistory._sequelizeHistory;
+
+			Fruit = model;
+			history.on('revision', (instance, revision, operation) =>
+				events.push([operation, instance.name, revision.name]));
+			history.on('bulkRevision', (instances, revisions, operation) =>
+				events.push([operation, instances.map(i => i.name), revisions.length]));
+			return Fruit.create({name: 'apple'});
+		})
+		.then(fruit => fruit.update({name: 'pear'}))
+		.then(() => Fruit.update({name: 'plum'}, {where: {}}))
+		.then(() => {
+			t.deepEqual(events, [
+				['create', 'apple', 'apple'],
+				['update', 'pear', 'apple'],
+				['bulkUpdate', ['pear'], 1]
+			], 'emits the tracked instances, revisions and operation');
+			events.length = 0;
+			return sequelize.transaction(transaction => Fruit.findById(1, {transaction})
+				.then(fruit => fruit.update({name: 'fig'}, {transaction}))
+				.then(() => t.equal(events.length, 0, 'waits for the transaction to commit')));
+		})
+		.then(() => {
+			t.deepEqual(events, [['update', 'fig', 'plum']], 'emits after the transaction commits');
+			events.length = 0;
+			return sequelize.transaction(transaction => Fruit.findById(1, {transaction})
+				.then(fruit => fruit.update({name: 'kiwi'}, {transaction}))
+				.then(() => {
+					throw new Error('rollback');
+				}))
+				.catch(() => null);
+		})
+		.then(() => {
+			t.deepEqual(events, [], 'emits nothing for rolled back transactions');
+			Vegetable = sequelize.define('Vegetable', {name: {type: Sequelize.TEXT}});
+
+			const instances = revisionTracker.all(sequelize);
+
+			t.deepEqual(Object.keys(instances), ['VegetableHistory'], 'keeps subscription methods out of the tracked models');
+			instances.on('revision', (instance, revision, operation) => events.push([operation, instance.name]));
+			return sequelize.sync();
+		})
+		.then(() => Vegetable.create({name: 'leek'}))
+		.then(vegetable => vegetable.update({name: 'kale'}))
+		.then(() => {
+			t.deepEqual(events, [['update', 'kale']], 'subscribes to every model tracked by the all factory');
+		})
+		.catch(err => console.error(err));
+});
+
+test('stores: keeps revisions in a separate database', t => {
+	const audit = new Sequelize('', '', '', {
+		dialect: 'sqlite',
+		logging: false,
+		operatorsAliases: false,
+		storage: ':memory:'
+	});
+	let Fruit = null;
+	let fruit = null;
+	let revisions = null;
+	t.plan(7);
+
+	return freshDb({store: new revisionTracker.SequelizeStore(audit), bulkStrategy: 'insertSelect', changesets: true}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			t.ok(audit.models.FruitHistory && !sequelize.models.FruitHistory, 'defines the history model on the store\'s connection');
+			return audit.sync();
+		})
+		.then(() => Fruit.create({name: 'apple'}))
+		.then(instance => {
+			fruit = instance;
+			return sequelize.transaction(transaction => fruit.update({name: 'pear'}, {transaction})
+				.then(() => {
+					throw new Error('rollback');
+				}))
+				.catch(() => fruit.reload());
+		})
+		.then(() => fruit.getRevisionCount())
+		.then(count => {
+			t.equal(count, 0, 'writes nothing for rolled back transactions');
+			return sequelize.transaction(transaction => fruit.update({name: 'fig'}, {transaction})
+				.then(() => audit.models.FruitHistory.count())
+				.then(count => t.equal(count, 0, 'waits for the transaction to commit')));
+		})
+		.then(() => Fruit.update({name: 'plum'}, {where: {}}))
+		.then(() => fruit.getRevisions({order: 'ASC'}))
+		.then(found => {
+			revisions = found;
+			t.deepEqual(revisions.map(r => r.name), ['apple', 'fig'], 'writes revisions once the transaction commits');
+			return sequelize.transaction(transaction => sequelize.Promise.all([
+				Fruit.findAllAsOf(new Date(revisions[0].archivedAt.getTime() - 1), {transaction}),
+				revisionTracker.getChangeset(audit, revisions[0].changesetId, {transaction})
+			]));
+		})
+		.then(results => {
+			t.deepEqual(results[0].map(f => f.name), ['apple'], 'reads rows as they were within a transaction');
+			t.equal(results[1].length, 1, 'reads changesets within a transaction');
+			return fruit.revertTo(revisions[0].id);
+		})
+		.then(() => fruit.reload())
+		.then(() => {
+			t.equal(fruit.name, 'apple', 'reverts from the separate database');
+		})
+		.catch(err => console.error(err));
+});
+
+test('stores: appends revisions to JSON Lines files', t => {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sequelize-history-'));
+	let Fruit = null;
+	let fruit = null;
+	t.plan(6);
+
+	return freshDb({store: new revisionTracker.JsonlStore(directory), trackCreation: true}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			t.notOk(sequelize.models.FruitHistory, 'defines no history model');
+			return Fruit.create({name: 'apple'});
+		})
+		.then(instance => {
+			fruit = instance;
+			return fruit.update({name: 'pear'});
+		})
+		.then(() => Fruit.update({name: 'plum'}, {where: {}}))
+		.then(() => {
+			const lines = fs.readFileSync(path.join(directory, 'FruitHistory.jsonl'), 'utf8').split('\n');
+
+			t.equal(lines.length, 4, 'appends a line per revision');
+			return fruit.getRevisions({order: 'ASC', offset: 1});
+		})
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => [r.operation, r.name]), [['update', 'apple'], ['bulkUpdate', 'pear']], 'reads revisions back');
+			return fruit.getRevisionCount({since: revisions[1].archivedAt});
+		})
+		.then(count => {
+			t.equal(count, 1, 'filters revisions by date');
+			t.notOk(fruit.revertTo, 'only adds the methods the store supports');
+			fs.unlinkSync(path.join(directory, 'FruitHistory.jsonl'));
+			fs.rmdirSync(directory);
+			return freshDb({store: new revisionTracker.JsonlStore(directory), integrity: true}, defineFruit);
+		})
+		.catch(err => t.ok(/Integrity requires/.test(err.message), 'rejects options needing a history model'));
+});
+
+test('async: buffers revisions until flushed', t => {
+	let Fruit = null;
+	let FruitHistory = null;
+	let history = null;
+	let fruit = null;
+	let updatedAt = null;
+	const events = [];
+	t.plan(7);
+
+	return freshDb({async: true, asyncBatchSize: 3, asyncInterval: null}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			FruitHistory = sequelize.models.FruitHistory;
+			history = FruitHistory._sequelizeHistory;
+			history.on('revision', (instance, revision, operation) => events.push([operation, revision.name]));
+			return Fruit.create({name: 'apple'});
+		})
+		.then(instance => {
+			fruit = instance;
+			updatedAt = new Date();
+			return fruit.update({name: 'pear'});
+		})
+		.then(() => sequelize.transaction(transaction => fruit.update({name: 'fig'}, {transaction})
+			.then(() => {
+				throw new Error('rollback');
+			}))
+			.catch(() => fruit.reload()))
+		.then(() => FruitHistory.count())
+		.then(count => {
+			t.equal(count, 0, 'writes nothing until flushed');
+			return wait(100).then(() => history.flush());
+		})
+		.then(() => FruitHistory.findAll())
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.name), ['apple'], 'writes buffered revisions of committed changes only');
+			t.deepEqual(events, [['update', 'apple']], 'emits revisions once written');
+			t.ok(revisions[0].archivedAt - updatedAt < 50, 'stamps revisions when the change happens');
+			return Fruit.findOneAsOf(fruit.id, new Date(updatedAt.getTime() + 50));
+		})
+		.then(asOf => {
+			t.equal(asOf.name, 'pear', 'reads delayed revisions as of the change');
+			return Fruit.update({name: 'plum'}, {where: {}, individualHooks: true})
+				.then(() => Fruit.bulkCreate([{name: 'a'}, {name: 'b'}]))
+				.then(() => Fruit.update({name: 'kiwi'}, {where: {}}));
+		})
+		.then(() => history.flushing)
+		.then(() => FruitHistory.count())
+		.then(count => {
+			t.equal(count, 5, 'writes a batch once full');
+			return freshDb({outbox: true}, defineFruit);
+		})
+		.catch(err => t.ok(/requires async mode/.test(err.message), 'requires async mode for the outbox'));
+});
+
+test('async: writes revisions to an outbox', t => {
+	let Fruit = null;
+	let FruitHistory = null;
+	let FruitHistoryOutbox = null;
+	t.plan(6);
+
+	return freshDb({async: true, outbox: true, asyncInterval: null, asyncBatchSize: 4}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			FruitHistory = sequelize.models.FruitHistory;
+			FruitHistoryOutbox = sequelize.models.FruitHistoryOutbox;
+			return Fruit.bulkCreate([{name: 'apple'}, {name: 'pear'}, {name: 'fig'}]);
+		})
+		.then(() => sequelize.transaction(transaction => Fruit.update({name: 'plum'}, {where: {}, transaction})
+			.then(() => FruitHistoryOutbox.count({transaction}))
+			.then(count => t.equal(count, 3, 'writes revisions to the outbox in the transaction'))))
+		.then(() => sequelize.transaction(transaction => Fruit.update({name: 'kiwi'}, {where: {}, transaction})
+			.then(() => {
+				throw new Error('rollback');
+			}))
+			.catch(() => null))
+		.then(() => FruitHistory.count())
+		.then(count => {
+			t.equal(count, 0, 'leaves revisions in the outbox until flushed');
+			return FruitHistory._sequelizeHistory.flush();
+		})
+		.then(() => sequelize.Promise.all([FruitHistory.findAll({order: [['modelId', 'ASC']]}), FruitHistoryOutbox.count()]))
+		.then(results => {
+			t.deepEqual(results[0].map(r => r.name), ['apple', 'pear', 'fig'], 'moves committed revisions to the history model');
+			t.equal(results[1], 0, 'empties the outbox');
+			return Fruit.update({name: 'pear'}, {where: {}})
+				.then(() => Fruit.update({name: 'fig'}, {where: {}}));
+		})
+		.then(() => FruitHistory._sequelizeHistory.flushing)
+		.then(() => sequelize.Promise.all([FruitHistory.count(), FruitHistoryOutbox.count()]))
+		.then(counts => {
+			t.equal(counts[0], 9, 'flushes the outbox once a batch is full');
+			t.equal(counts[1], 0, 'empties the outbox once flushed');
+		})
+		.catch(err => console.error(err));
+});
+
+test('async: leaves excluded attributes out of the outbox', t => {
+	let Fruit = null;
+	let FruitHistory = null;
+	t.plan(2);
+
+	return freshDb({async: true, outbox: true, asyncInterval: null, excludedAttributes: ['type']}, defineTypedFruit)
+		.then(model => {
+			Fruit = model;
+			FruitHistory = sequelize.models.FruitHistory;
+			return Fruit.create({name: 'apple', type: 'secret'});
+		})
+		.then(fruit => fruit.update({name: 'pear'}))
+		.then(() => Fruit.update({name: 'plum'}, {where: {}}))
+		.then(() => sequelize.models.FruitHistoryOutbox.findAll())
+		.then(entries => {
+			t.notOk(entries.some(entry => 'type' in entry.payload), 'leaves excluded attributes out of payloads');
+			return FruitHistory._sequelizeHistory.flush();
+		})
+		.then(() => FruitHistory.findAll({order: [['id', 'ASC']]}))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.name), ['apple', 'pear'], 'writes the revisions once flushed');
+		})
+		.catch(err => console.error(err));
+});
+
+test('stores: diffs revisions without a history model', t => {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sequelize-history-'));
+	let Fruit = null;
+	t.plan(2);
+
+	return freshDb({store: new revisionTracker.JsonlStore(directory), storage: 'diff', bulkChangedOnly: true}, defineFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.create({name: 'apple'});
+		})
+		.then(fruit => fruit.update({name: 'pear'}))
+		.then(() => Fruit.update({name: 'plum'}, {where: {}}))
+		.then(() => Fruit.getRevisionsFor(1, {order: 'ASC'}))
+		.then(revisions => {
+			t.deepEqual(revisions.map(r => r.changes.filter(c => c.field === 'name').map(c => [c.from, c.to])),
+				[[['apple', 'pear']], [['pear', 'plum']]], 'records the changes of updates and bulk updates');
+			t.notOk(revisions.some(r => 'name' in r), 'leaves the tracked values out of diffs');
+			fs.unlinkSync(path.join(directory, 'FruitHistory.jsonl'));
+			fs.rmdirSync(directory);
+		})
+		.catch(err => console.error(err));
+});
+
+test('stores: leaves excluded attributes out of files', t => {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sequelize-history-'));
+	let Fruit = null;
+	t.plan(2);
+
+	return freshDb({store: new revisionTracker.JsonlStore(directory), excludedAttributes: ['type']}, defineTypedFruit)
+		.then(model => {
+			Fruit = model;
+			return Fruit.create({name: 'apple', type: 'secret'});
+		})
+		.then(fruit => fruit.update({name: 'pear'}))
+		.then(() => Fruit.update({name: 'plum'}, {where: {}}))
+		.then(() => {
+			const revisions = fs.readFileSync(path.join(directory, 'FruitHistory.jsonl'), 'utf8')
+				.split('\n')
+				.filter(line => line !== '')
+				.map(line => JSON.parse(line));
+
+			t.deepEqual(revisions.map(r => r.name), ['apple', 'pear'], 'writes update and bulk update revisions');
+			t.notOk(revisions.some(r => 'type' in r), 'leaves excluded attributes out');
+			fs.unlinkSync(path.join(directory, 'FruitHistory.jsonl'));
+			fs.rmdirSync(directory);
+		})
+		.catch(err => console.error(err));
+});
+
+test('stores: reports failed writes after commit', t => {
+	const audit = new Sequelize('', '', '', {
+		dialect: 'sqlite',
+		logging: false,
+		operatorsAliases: false,
+		storage: ':memory:'
+	});
+	const errors = [];
+	t.plan(2);
+
+	// The audit database is left without its history table
+	return freshDb({store: new revisionTracker.SequelizeStore(audit)}, defineFruit)
+		.then(Fruit => {
+			audit.models.FruitHistory._sequelizeHistory.on('error', err => errors.push(err));
+			return Fruit.create({name: 'apple'})
+				.then(fruit => sequelize.transaction(transaction => fruit.update({name: 'pear'}, {transaction})))
+				.then(() => Fruit.findById(1));
+		})
+		.then(fruit => {
+			t.equal(fruit.name, 'pear', 'commits the transaction');
+			t.ok(errors.length === 1 && /no such table/.test(errors[0].message), 'reports the failed write');
+		})
+		.catch(err => console.error(err));
+});